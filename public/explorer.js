@@ -1,29 +1,85 @@
 import { initSymbolGraph, renderGraph, destroySymbolGraph } from "./modules/symbol-graph.js";
 import { initSearch } from "./modules/search.js";
-import { showFile, clearCodePanel } from "./modules/code-panel.js";
+import { showFile, clearCodePanel, invalidateFiles } from "./modules/code-panel.js";
+import { analyzeCodebase, cancelJob, fetchSymbols, onServerEvent } from "./modules/api.js";
+import { initProjectSwitcher, refreshProjectSwitcher, switchProject } from "./modules/projects.js";
+import { initCompare, getComparison, refreshBaseProjects } from "./modules/compare.js";
+import { initHierarchy, updateHierarchy } from "./modules/hierarchy.js";
+import { applySymbolsDiff } from "./modules/diff.js";
+import { foldNested, revealNested } from "./modules/nesting.js";
+import { initSnapshots } from "./modules/snapshots.js";
+import { getTimelineRevision } from "./modules/timeline.js";
+import { escapeHtml } from "./modules/html.js";
 
 let symbolData = null; // { symbols, edges, files }
 let currentSymbol = null;
 let navHistory = [];
 let galaxyLoaded = false;
+const expandedSymbols = new Set(); // ids of symbols whose nested functions are shown
 
 // ── Boot ──
 init();
 
 async function init() {
-  initSymbolGraph(document.getElementById("graph-canvas"), onGraphNodeClick);
+  initSymbolGraph(document.getElementById("graph-canvas"), onGraphNodeClick, onToggleNested);
+  initHierarchy(navigateTo);
   setupResizeHandle();
   setupViewToggle();
   setupPathForm();
   setupKeyboardShortcuts();
   listenForGalaxyNavigation();
+  listenForLiveUpdates();
+  listenForProjectChange();
+  initProjectSwitcher();
+  initCompare();
+  initSnapshots();
+  await refreshProjectSwitcher();
+  refreshBaseProjects();
   await loadSymbols();
 }
 
+function listenForProjectChange() {
+  window.addEventListener("projectChange", () => {
+    currentSymbol = null;
+    navHistory = [];
+    expandedSymbols.clear();
+    clearCodePanel();
+    loadSymbols();
+  });
+
+  // Compare mode swaps in the merged symbols of both revisions
+  window.addEventListener("compareChange", () => {
+    currentSymbol = null;
+    navHistory = [];
+    loadSymbols();
+  });
+
+  // The timeline moved to another revision (or back to the working tree)
+  window.addEventListener("revisionChange", () => {
+    currentSymbol = null;
+    navHistory = [];
+    loadSymbols();
+  });
+}
+
 function listenForGalaxyNavigation() {
   window.addEventListener("showFileSymbols", (e) => {
-    const fileId = e.detail?.fileId;
-    if (!symbolData || !fileId) return;
+    const { fileId, symbolId, line } = e.detail || {};
+    if (!fileId) return;
+
+    // A position in the file, e.g. a parse error: just show the code
+    if (line) {
+      showFile(fileId, line, line);
+      return;
+    }
+    if (!symbolData) return;
+
+    // A specific symbol, when asked for one
+    const requested = symbolId && symbolData.symbols.find(s => s.id === symbolId);
+    if (requested) {
+      navigateTo(requested);
+      return;
+    }
 
     // Find symbols in this file
     const fileSymbols = symbolData.symbols.filter(s => s.file === fileId);
@@ -35,14 +91,45 @@ function listenForGalaxyNavigation() {
   });
 }
 
+// Keep the explorer in sync with files changing on disk
+function listenForLiveUpdates() {
+  onServerEvent("files-changed", ({ files }) => {
+    invalidateFiles(files);
+    if (currentSymbol && files.includes(currentSymbol.file) && !getTimelineRevision()) {
+      showFile(currentSymbol.file, currentSymbol.startLine, currentSymbol.endLine);
+    }
+  });
+
+  onServerEvent("symbols-diff", (diff) => {
+    if (!symbolData || getComparison() || getTimelineRevision()) return; // not showing the working tree
+    symbolData = applySymbolsDiff(symbolData, diff);
+    initSearch(symbolData.symbols, onSymbolSelect);
+    updateSymbolStats();
+
+    if (!currentSymbol) return;
+    const fresh = symbolData.symbols.find(s => s.id === currentSymbol.id);
+    if (!fresh) return;
+    currentSymbol = fresh;
+    drawSymbolGraph({ keepView: true });
+    updateHierarchy(currentSymbol, symbolData.symbols, symbolData.edges);
+    showFile(currentSymbol.file, currentSymbol.startLine, currentSymbol.endLine);
+  });
+}
+
+function updateSymbolStats() {
+  document.getElementById("stats").textContent =
+    `${symbolData.symbols.length} symbols  ·  ${symbolData.edges.length} relationships  ·  ${symbolData.files.length} files`;
+}
+
 async function loadSymbols() {
   try {
-    const res = await fetch("/api/symbols");
-    if (!res.ok) return;
-    symbolData = await res.json();
+    const rev = getTimelineRevision();
+    const data = getComparison()?.symbols || await fetchSymbols(rev);
+    if (rev !== getTimelineRevision()) return; // superseded meanwhile
+    if (!data) return;
+    symbolData = data;
     initSearch(symbolData.symbols, onSymbolSelect);
-    document.getElementById("stats").textContent =
-      `${symbolData.symbols.length} symbols  ·  ${symbolData.edges.length} relationships  ·  ${symbolData.files.length} files`;
+    updateSymbolStats();
 
     // Auto-select a default entry-point symbol
     const defaultSym = pickDefaultSymbol(symbolData.symbols, symbolData.edges);
@@ -59,7 +146,8 @@ async function loadSymbols() {
 }
 
 function pickDefaultSymbol(symbols, edges) {
-  const functions = symbols.filter(s => s.type === "function");
+  // Top-level code (`<module>`) is where execution starts, so it competes too
+  const functions = symbols.filter(s => (s.type === "function" || s.type === "module") && !s.enclosing);
   if (functions.length === 0) return symbols[0] || null;
 
   // Rank by outgoing cross-file call count
@@ -105,11 +193,27 @@ function navigateTo(sym) {
   renderCurrentSymbol();
 }
 
+// Shows or hides the nested functions of a symbol in the graph
+function onToggleNested(sym) {
+  if (expandedSymbols.has(sym.id)) expandedSymbols.delete(sym.id);
+  else expandedSymbols.add(sym.id);
+  drawSymbolGraph({ keepView: true });
+}
+
+// Nested functions stay folded into their parents unless expanded
+function drawSymbolGraph(options) {
+  revealNested(currentSymbol, symbolData.symbols, expandedSymbols);
+  const { symbols, edges } = foldNested(symbolData.symbols, symbolData.edges, expandedSymbols);
+  const center = symbols.find(s => s.id === currentSymbol.id) || currentSymbol;
+  renderGraph(center, symbols, edges, options);
+}
+
 function renderCurrentSymbol() {
   if (!currentSymbol || !symbolData) return;
 
   // Update graph
-  renderGraph(currentSymbol, symbolData.symbols, symbolData.edges);
+  drawSymbolGraph();
+  updateHierarchy(currentSymbol, symbolData.symbols, symbolData.edges);
 
   // Update code panel
   showFile(currentSymbol.file, currentSymbol.startLine, currentSymbol.endLine);
@@ -137,9 +241,16 @@ function updateBreadcrumbs() {
     }
   });
 
-  // Symbol name
-  if (currentSymbol.name.includes(".")) {
-    const [className, methodName] = currentSymbol.name.split(".");
+  // Symbol name; nested functions show the last step (`outer > <callback in .then>`)
+  if (currentSymbol.name.includes(" > ")) {
+    const scopes = currentSymbol.name.split(" > ");
+    parts.push(`<span class="breadcrumb-item" data-symbol="${escapeHtml(currentSymbol.enclosing)}">${escapeHtml(scopes.slice(0, -1).join(" > "))}</span>`);
+    parts.push(`<span class="breadcrumb-sep">&rsaquo;</span>`);
+    parts.push(`<span class="breadcrumb-item current">${escapeHtml(scopes[scopes.length - 1])}</span>`);
+  } else if (currentSymbol.name.includes(".")) {
+    // Members of nested objects (`default.methods.save`) keep their full path
+    const className = currentSymbol.name.split(".")[0];
+    const methodName = currentSymbol.name.slice(className.length + 1);
     parts.push(`<span class="breadcrumb-item" data-symbol="${currentSymbol.file}::${className}">${className}</span>`);
     parts.push(`<span class="breadcrumb-sep">.</span>`);
     parts.push(`<span class="breadcrumb-item current">${methodName}</span>`);
@@ -245,37 +356,71 @@ function setupViewToggle() {
 }
 
 // ── Path form (for analyze) ──
+// What the analysis is doing in each phase the server reports
+const PHASE_LABELS = {
+  starting: "Starting",
+  listing: "Finding files",
+  parsing: "Parsing files",
+  resolving: "Resolving imports",
+  history: "Reading git history",
+  typing: "Resolving types",
+  symbols: "Building symbols",
+  linking: "Linking symbols",
+};
+
 function setupPathForm() {
+  const loading = document.getElementById("loading");
+  const label = document.getElementById("loading-label");
+  const bar = document.getElementById("loading-bar");
+  let jobId = null;
+
+  document.getElementById("loading-cancel").addEventListener("click", () => {
+    if (jobId) cancelJob(jobId);
+  });
+
   document.getElementById("path-form").addEventListener("submit", async (e) => {
     e.preventDefault();
     const pathInput = document.getElementById("path-input").value.trim();
     if (!pathInput) return;
+    const externals = document.getElementById("externals-input").checked;
+    const typeAware = document.getElementById("type-aware-input").checked;
 
-    const loading = document.getElementById("loading");
     const btn = document.getElementById("analyze-btn");
+    label.textContent = "Analyzing codebase...";
+    bar.style.width = "0";
+    loading.classList.add("job");
     loading.style.display = "block";
     btn.disabled = true;
 
     try {
-      const res = await fetch("/api/analyze", {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ path: pathInput }),
+      const result = await analyzeCodebase(pathInput, { externals, typeAware }, (job) => {
+        jobId = job.id;
+        const count = job.total > 0 ? ` ${job.done}/${job.total}` : "";
+        label.textContent = `${PHASE_LABELS[job.phase] || job.phase}${count}...`;
+        bar.style.width = job.total > 0 ? `${(100 * job.done) / job.total}%` : "0";
       });
-      const data = await res.json();
-      if (data.error) throw new Error(data.error);
 
-      // Reload symbols
-      await loadSymbols();
+      // Both views reload for the (possibly new) project
+      await refreshProjectSwitcher();
+      switchProject(result.project.id);
+      if (result.parseErrors.length > 0) reportParseErrors(result.parseErrors);
     } catch (err) {
-      alert("Error: " + err.message);
+      if (!err.cancelled) alert("Error: " + err.message);
     } finally {
+      jobId = null;
+      loading.classList.remove("job");
       loading.style.display = "none";
       btn.disabled = false;
     }
   });
 }
 
+function reportParseErrors(parseErrors) {
+  const shown = parseErrors.slice(0, 10).map((e) => `${e.file}:${e.line}:${e.column}: ${e.message}`);
+  if (parseErrors.length > shown.length) shown.push(`...and ${parseErrors.length - shown.length} more`);
+  alert(`${parseErrors.length} file${parseErrors.length === 1 ? "" : "s"} could not be parsed:\n\n${shown.join("\n")}`);
+}
+
 // ── Keyboard shortcuts ──
 function setupKeyboardShortcuts() {
   document.addEventListener("keydown", (e) => {
@@ -1,9 +1,17 @@
+import * as THREE from "three";
 import { CAMERA } from "./modules/constants.js";
 import { initScene, getScene, getCamera, getRenderer, getControls } from "./modules/scene.js";
-import { buildGraph, tickSimulation, setIs3D, getState } from "./modules/graph.js";
+import { buildGraph, restyleNodes, focusCycle, setGhostedNodes, setViolatingEdges, tickSimulation, setIs3D, getState } from "./modules/graph.js";
 import { initInteraction, getSelectedNode, getHoveredNode } from "./modules/interaction.js";
 import { buildFilterUI, getFilters, getDimmedNodeIds } from "./modules/filters.js";
-import { analyzeCodebase, fetchCachedGraph } from "./modules/api.js";
+import { fetchCachedGraph, fetchGraphAtRevision, onServerEvent } from "./modules/api.js";
+import { applyGraphDiff } from "./modules/diff.js";
+import { initTimeline, loadTimeline, getTimelineRevision } from "./modules/timeline.js";
+import { getComparison } from "./modules/compare.js";
+import { buildCycleList } from "./modules/cycles.js";
+import { buildDiagnosticsList } from "./modules/diagnostics.js";
+import { initDeadCode, loadDeadCode, clearDeadCode } from "./modules/dead-code.js";
+import { initRules, loadRuleViolations, clearRuleViolations } from "./modules/rules.js";
 
 let initialized = false;
 
@@ -16,10 +24,20 @@ export function initGalaxy() {
   animate();
   loadCachedGraph();
   bindGalaxyControls();
+  listenForLiveUpdates();
+  initTimeline(showRevision);
+  initDeadCode(setGhostedNodes);
+  initRules(setViolatingEdges);
+  loadTimeline();
+  window.addEventListener("projectChange", () => {
+    loadCachedGraph();
+    loadTimeline();
+  });
+  window.addEventListener("compareChange", loadCachedGraph);
 
   // Galaxy file click → switch to explorer view
   window.addEventListener("galaxyFileClick", (e) => {
-    const fileId = e.detail?.fileId;
+    const { fileId, symbolId, line } = e.detail || {};
     if (!fileId) return;
 
     // Switch to explorer view
@@ -28,7 +46,7 @@ export function initGalaxy() {
     // Tell explorer to show this file's symbols
     setTimeout(() => {
       window.dispatchEvent(new CustomEvent("showFileSymbols", {
-        detail: { fileId },
+        detail: { fileId, symbolId, line },
       }));
     }, 50);
   });
@@ -57,40 +75,74 @@ function updateStats(result) {
 }
 
 function loadData(data) {
-  buildFilterUI(data, rebuildGraph);
+  buildFilterUI(data, rebuildGraph, () => restyleNodes(getFilters()));
+  buildCycleList(data, focusCycleInView);
+  buildDiagnosticsList(data);
   updateStats(buildGraph(data, getFilters()));
 }
 
+// Highlight a cycle and turn the camera toward its files
+function focusCycleInView(cycleId) {
+  focusCycle(cycleId);
+  if (cycleId === null) return;
+
+  const members = getState().simNodes.filter((n) => n.cycle === cycleId);
+  if (members.length === 0) return;
+  const center = new THREE.Vector3();
+  for (const n of members) center.add(new THREE.Vector3(n.x, n.y, n.z));
+  center.divideScalar(members.length);
+
+  const controls = getControls();
+  const camera = getCamera();
+  const offset = camera.position.clone().sub(controls.target);
+  controls.target.copy(center);
+  camera.position.copy(center).add(offset);
+}
+
+// The current project's graph, or the merged graph while comparing revisions
 async function loadCachedGraph() {
   try {
-    const data = await fetchCachedGraph();
+    const comparison = getComparison();
+    const data = comparison?.graph || await fetchCachedGraph();
     if (data?.nodes) loadData(data);
+    // Dead code and rules are checked for one tree, not a comparison of two
+    if (comparison) {
+      clearDeadCode();
+      clearRuleViolations();
+    } else if (data?.nodes) {
+      loadDeadCode();
+      loadRuleViolations();
+    }
   } catch { /* no cached graph */ }
 }
 
-function bindGalaxyControls() {
-  // Path form handler
-  const pathForm = document.getElementById("path-form");
-  pathForm.addEventListener("submit", async (e) => {
-    e.preventDefault();
-    const pathInput = document.getElementById("path-input").value.trim();
-    if (!pathInput) return;
-
-    const loading = document.getElementById("loading");
-    const btn = document.getElementById("analyze-btn");
-    loading.style.display = "block";
-    btn.disabled = true;
-
-    try {
-      loadData(await analyzeCodebase(pathInput));
-    } catch (err) {
-      alert("Error: " + err.message);
-    } finally {
-      loading.style.display = "none";
-      btn.disabled = false;
-    }
+// Show the graph as of `sha` (null for the working tree), morphing the
+// current layout so files and imports visibly come and go
+async function showRevision(sha) {
+  const data = sha ? await fetchGraphAtRevision(sha) : await fetchCachedGraph();
+  if (!data?.nodes || getTimelineRevision() !== sha) return; // superseded meanwhile
+  buildCycleList(data, focusCycleInView);
+  buildDiagnosticsList(data);
+  updateStats(buildGraph(data, getFilters(), { preserveLayout: true }));
+  loadDeadCode(sha);
+  loadRuleViolations(sha);
+}
+
+// Apply file-graph changes pushed by the server without resetting the layout
+function listenForLiveUpdates() {
+  onServerEvent("graph-diff", (diff) => {
+    const data = getState().graphData;
+    if (!data || getTimelineRevision() || getComparison()) return; // not showing the working tree
+    const next = applyGraphDiff(data, diff);
+    buildCycleList(next, focusCycleInView);
+    buildDiagnosticsList(next);
+    updateStats(buildGraph(next, getFilters(), { preserveLayout: true }));
+    loadDeadCode();
+    loadRuleViolations();
   });
+}
 
+function bindGalaxyControls() {
   // Sidebar toggle
   const sidebar = document.getElementById("sidebar");
   const sidebarBtn = document.getElementById("sidebar-toggle");
@@ -1,16 +1,187 @@
-export async function analyzeCodebase(targetPath) {
+let currentProject = null;
+
+// A static site export (see src/export.js) has no server: it embeds the
+// analysis of one project, and every request below is answered from it
+const embedded = window.CODE_VISUALIZER_EXPORT || null;
+
+export function isStaticExport() { return embedded !== null; }
+
+// Source of an analyzed file in a static export, or undefined
+export function embeddedFile(filePath) { return embedded?.files[filePath]; }
+
+// For what only a running server can do: analyze, check out revisions...
+function needsServer(what) {
+  return new Error(`${what} needs the code-visualizer server; this is a static export`);
+}
+
+export function getCurrentProject() { return currentProject; }
+export function setCurrentProject(id) { currentProject = id; }
+
+// Query string that scopes a request to the current project
+export function projectQuery(prefix = "?") {
+  return currentProject ? `${prefix}project=${encodeURIComponent(currentProject)}` : "";
+}
+
+// URL for a project-scoped endpoint with extra query parameters
+function scopedUrl(endpoint, params = {}) {
+  const query = new URLSearchParams(params);
+  if (currentProject) query.set("project", currentProject);
+  const qs = query.toString();
+  return qs ? `${endpoint}?${qs}` : endpoint;
+}
+
+/**
+ * Analyzes a codebase as a server job. `onProgress(job)` receives the job
+ * as it advances: { id, phase, done, total }. Resolves to
+ * { project, parseErrors }; rejects when the job fails or is cancelled,
+ * the latter with `err.cancelled` set.
+ */
+export async function analyzeCodebase(targetPath, options = {}, onProgress = () => {}) {
+  if (embedded) throw needsServer("Analyzing a codebase");
   const res = await fetch("/api/analyze", {
     method: "POST",
     headers: { "Content-Type": "application/json" },
-    body: JSON.stringify({ path: targetPath }),
+    body: JSON.stringify({ path: targetPath, ...options }),
   });
   const data = await res.json();
   if (data.error) throw new Error(data.error);
-  return data;
+  return followJob(data.job, onProgress);
+}
+
+export async function cancelJob(jobId) {
+  await fetch(`/api/jobs/${encodeURIComponent(jobId)}`, { method: "DELETE" });
+}
+
+function followJob(job, onProgress) {
+  return new Promise((resolve, reject) => {
+    const source = new EventSource(`/api/jobs/${encodeURIComponent(job.id)}/events`);
+    source.addEventListener("job", (e) => {
+      const state = JSON.parse(e.data);
+      onProgress(state);
+      if (state.status === "running") return;
+
+      source.close();
+      if (state.status === "done") return resolve(state.result);
+      const err = new Error(state.error || "Analysis cancelled");
+      err.cancelled = state.status === "cancelled";
+      reject(err);
+    });
+    source.onerror = () => {
+      source.close();
+      reject(new Error("Lost the connection to the server"));
+    };
+  });
 }
 
 export async function fetchCachedGraph() {
-  const res = await fetch("/api/graph");
+  if (embedded) return { ...embedded.graph, project: embedded.project, revision: null };
+  const res = await fetch(scopedUrl("/api/graph"));
   if (!res.ok) return null;
   return res.json();
 }
+
+// The file graph as of a commit, tag or branch
+export async function fetchGraphAtRevision(rev) {
+  if (embedded) throw needsServer("Loading a revision");
+  const res = await fetch(scopedUrl("/api/graph", { rev }));
+  const data = await res.json();
+  if (data.error) throw new Error(data.error);
+  return data;
+}
+
+// Structural diff of the current project between two revisions; an empty
+// `base` or `head` means the working tree. With `baseProject`, the base is
+// that project (e.g. a loaded snapshot) instead of the current one.
+export async function fetchComparison({ base, head, baseProject }) {
+  if (embedded) throw needsServer("Comparing revisions");
+  const params = { base, head, baseProject };
+  for (const key of Object.keys(params)) if (!params[key]) delete params[key];
+  const res = await fetch(scopedUrl("/api/compare", params));
+  const data = await res.json();
+  if (data.error) throw new Error(data.error);
+  return data;
+}
+
+// Commits that touched the current project, newest first
+export async function fetchRevisions() {
+  if (embedded) return [];
+  const res = await fetch(scopedUrl("/api/revisions"));
+  if (!res.ok) return [];
+  return res.json();
+}
+
+// The symbol graph of the current project, as of `rev` if given
+export async function fetchSymbols(rev = null) {
+  if (embedded) return embedded.symbols;
+  const res = await fetch(scopedUrl("/api/symbols", rev ? { rev } : {}));
+  if (!res.ok) return null;
+  return res.json();
+}
+
+// Dead code report of the current project (at `rev`, if given), starting
+// from the files matching `entryPatterns`, or the detected entry points
+export async function fetchDeadCode(entryPatterns = [], rev = null) {
+  if (embedded) {
+    if (entryPatterns.length > 0) throw needsServer("Choosing entry points");
+    return embedded.deadCode;
+  }
+  const params = {};
+  if (entryPatterns.length > 0) params.entry = entryPatterns.join(",");
+  if (rev) params.rev = rev;
+  const res = await fetch(scopedUrl("/api/dead-code", params));
+  const data = await res.json();
+  if (data.error) throw new Error(data.error);
+  return data;
+}
+
+// Architecture rule violations of the current project (at `rev`, if given)
+export async function fetchRuleViolations(rev = null) {
+  if (embedded) {
+    if (embedded.rules.error) throw new Error(embedded.rules.error);
+    return embedded.rules;
+  }
+  const res = await fetch(scopedUrl("/api/rules", rev ? { rev } : {}));
+  const data = await res.json();
+  if (data.error) throw new Error(data.error);
+  return data;
+}
+
+// Where the current project's analysis downloads as a snapshot file
+export function snapshotUrl() {
+  if (embedded) throw needsServer("Saving a snapshot");
+  return scopedUrl("/api/snapshot");
+}
+
+// Open a snapshot file's text as a new project; resolves to its summary
+export async function uploadSnapshot(text) {
+  if (embedded) throw needsServer("Opening a snapshot");
+  const res = await fetch("/api/snapshots", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: text,
+  });
+  const data = await res.json();
+  if (data.error) throw new Error(data.error);
+  return data.project;
+}
+
+export async function fetchProjects() {
+  if (embedded) return [embedded.project];
+  const res = await fetch("/api/projects");
+  if (!res.ok) return [];
+  return res.json();
+}
+
+let eventSource = null;
+
+// Subscribe to a live-update event pushed by the server (see /api/events).
+// Events for projects other than the current one are ignored.
+export function onServerEvent(type, handler) {
+  if (embedded) return; // nothing changes in a static export
+  if (!eventSource) eventSource = new EventSource("/api/events");
+  eventSource.addEventListener(type, (e) => {
+    const data = JSON.parse(e.data);
+    if (data.project && data.project !== currentProject) return;
+    handler(data);
+  });
+}
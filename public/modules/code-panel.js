@@ -1,3 +1,7 @@
+import { getCurrentProject, projectQuery, isStaticExport, embeddedFile } from "./api.js";
+import { getTimelineRevision } from "./timeline.js";
+import { escapeHtml } from "./html.js";
+
 const codeHeader = document.getElementById("code-header");
 const codeFileName = document.getElementById("code-file-name");
 const codeLineInfo = document.getElementById("code-line-info");
@@ -10,16 +14,16 @@ export async function showFile(filePath, startLine, endLine) {
   codeEmpty.style.display = "none";
   codeHeader.style.display = "flex";
 
+  // As of the revision the timeline shows, like the graphs next to it
+  const rev = getTimelineRevision();
+  const cacheKey = fileCacheKey(filePath, rev);
   let content;
-  if (cachedFiles[filePath]) {
-    content = cachedFiles[filePath];
+  if (cachedFiles[cacheKey]) {
+    content = cachedFiles[cacheKey];
   } else {
     try {
-      const res = await fetch(`/api/file?path=${encodeURIComponent(filePath)}`);
-      const data = await res.json();
-      if (data.error) throw new Error(data.error);
-      content = data.content;
-      cachedFiles[filePath] = content;
+      content = await loadFile(filePath, rev);
+      cachedFiles[cacheKey] = content;
     } catch (err) {
       codeContent.innerHTML = `<pre style="padding:16px;color:#666">Could not load file: ${filePath}</pre>`;
       return;
@@ -67,12 +71,32 @@ export async function showFile(filePath, startLine, endLine) {
   }
 }
 
+function fileCacheKey(filePath, rev) {
+  return `${getCurrentProject()}:${rev || ""}:${filePath}`;
+}
+
+// Source of `filePath` (at `rev`, if given), from the server or embedded in
+// a static export
+async function loadFile(filePath, rev) {
+  if (isStaticExport()) {
+    const content = embeddedFile(filePath);
+    if (content === undefined) throw new Error(`Not in this export: ${filePath}`);
+    return content;
+  }
+  const revQuery = rev ? `&rev=${encodeURIComponent(rev)}` : "";
+  const res = await fetch(`/api/file?path=${encodeURIComponent(filePath)}${revQuery}${projectQuery("&")}`);
+  const data = await res.json();
+  if (data.error) throw new Error(data.error);
+  return data.content;
+}
+
+// Drop cached working-tree contents so the next showFile() fetches fresh source
+export function invalidateFiles(filePaths) {
+  for (const filePath of filePaths) delete cachedFiles[fileCacheKey(filePath, null)];
+}
+
 export function clearCodePanel() {
   codeHeader.style.display = "none";
   codeContent.innerHTML = "";
   codeEmpty.style.display = "block";
 }
-
-function escapeHtml(str) {
-  return str.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
-}
@@ -0,0 +1,85 @@
+import { fetchComparison, fetchProjects, getCurrentProject } from "./api.js";
+import { escapeHtml } from "./html.js";
+
+const form = document.getElementById("compare-form");
+const baseProjectSelect = document.getElementById("compare-base-project");
+const baseInput = document.getElementById("compare-base");
+const headInput = document.getElementById("compare-head");
+const summary = document.getElementById("compare-summary");
+const exitBtn = document.getElementById("compare-exit");
+
+let comparison = null; // last /api/compare response while compare mode is on
+
+export function getComparison() { return comparison; }
+
+/**
+ * Wires up the compare box in the top bar: a base revision and a head
+ * revision (empty for the working tree). The base can also come from
+ * another project, such as a snapshot of this one. Both views listen for
+ * the "compareChange" event to switch in and out of compare mode.
+ */
+export function initCompare() {
+  form.addEventListener("submit", async (e) => {
+    e.preventDefault();
+    const base = baseInput.value.trim();
+    const head = headInput.value.trim();
+    const baseProject = baseProjectSelect.value;
+    if (!base && !baseProject) return;
+
+    form.classList.add("loading");
+    try {
+      setComparison(await fetchComparison({ base, head, baseProject }));
+    } catch (err) {
+      alert("Error: " + err.message);
+    } finally {
+      form.classList.remove("loading");
+    }
+  });
+
+  exitBtn.addEventListener("click", () => setComparison(null));
+  window.addEventListener("projectChange", () => {
+    if (comparison) setComparison(null);
+    refreshBaseProjects();
+  });
+}
+
+// Offers the other projects as the base; "" keeps it in the current one.
+// Call once the current project is known; project switches refresh it too.
+export async function refreshBaseProjects() {
+  const others = (await fetchProjects()).filter((p) => p.id !== getCurrentProject());
+  const selected = baseProjectSelect.value;
+  baseProjectSelect.innerHTML = [
+    `<option value="">this project</option>`,
+    ...others.map((p) => `<option value="${escapeHtml(p.id)}">${escapeHtml(projectLabel(p))}</option>`),
+  ].join("");
+  baseProjectSelect.value = others.some((p) => p.id === selected) ? selected : "";
+  baseProjectSelect.style.display = others.length > 0 ? "block" : "none";
+}
+
+function projectLabel(project) {
+  return project.snapshot ? `${project.name} (snapshot)` : project.name;
+}
+
+function setComparison(data) {
+  comparison = data;
+  document.body.classList.toggle("comparing", !!data);
+  summary.innerHTML = data ? formatSummary(data) : "";
+  window.dispatchEvent(new CustomEvent("compareChange", {
+    detail: { comparison: data },
+  }));
+}
+
+function formatSummary(data) {
+  const { files } = data.graph.summary;
+  const { symbols } = data.symbols.summary;
+  const counts = (c) =>
+    `<span class="diff-added">+${c.added}</span> <span class="diff-removed">&minus;${c.removed}</span> <span class="diff-changed">~${c.changed}</span>`;
+  const { cycles } = data.graph.summary;
+  const cycleChanges = cycles.added || cycles.removed
+    ? ` · cycles <span class="diff-removed">+${cycles.added}</span> <span class="diff-added">&minus;${cycles.removed}</span>`
+    : "";
+  const head = data.head.rev || "working tree";
+  const baseProject = data.base.project.id !== data.project.id ? projectLabel(data.base.project) : null;
+  const base = [baseProject, data.base.rev].filter(Boolean).join(" @ ");
+  return `<span title="${data.base.sha || ""}">${escapeHtml(base)}</span> &rarr; ${escapeHtml(head)} · files ${counts(files)} · symbols ${counts(symbols)}${cycleChanges}`;
+}
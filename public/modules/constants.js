@@ -4,6 +4,11 @@ export const THEME = {
   accent: 0x8b5cf6,
   accentHighlight: 0xa78bfa,
   secondary: 0x06b6d4,
+  external: 0x94a3b8,
+  noHistory: 0x475569,
+  cycle: 0xf43f5e,
+  violation: 0xff1f1f,
+  broken: 0xfb923c, // files that failed to parse
 };
 
 export const NODE = {
@@ -17,6 +22,8 @@ export const NODE = {
   emissiveThresholdDimmed: 0.05,
   opacity: 1.0,
   opacityDimmed: 0.1,
+  opacityGhost: 0.22,
+  emissiveGhost: 0.15,
 };
 
 export const EDGE = {
@@ -26,11 +33,42 @@ export const EDGE = {
   thresholdDimmedOpacity: 0.01,
   curveSegments: 20,
   curvature: 0.12,
+  cycleOpacity: 0.35,
+  violationOpacity: 0.75,
+  cyclePulse: 0.5,
+  dashSize: 3,
+  gapSize: 2,
+  arrowLength: 2.4,
+  arrowRadius: 0.8,
+};
+
+// Per-kind edge styling; dashed kinds don't load the target eagerly at runtime
+export const EDGE_KIND_STYLES = {
+  import: { label: "Static import", color: 0x8b5cf6 },
+  "re-export": { label: "Re-export", color: 0x06b6d4 },
+  require: { label: "require()", color: 0x10b981 },
+  "script-src": { label: "<script src>", color: 0xec4899 },
+  dynamic: { label: "Dynamic import()", color: 0xf59e0b, dashed: true },
+  type: { label: "Type-only import", color: 0x64748b, dashed: true },
+};
+
+// Node and edge colors while comparing two revisions
+export const DIFF_COLORS = {
+  added: 0x22c55e,
+  removed: 0xef4444,
+  changed: 0xf59e0b,
+  unchanged: 0x334155,
+};
+
+// Frames for nodes and edges to grow in / fade out when the graph morphs
+export const TRANSITION = {
+  frames: 40,
 };
 
 export const SIMULATION = {
   alphaDecay: 0.015,
   alphaMin: 0.001,
+  warmAlpha: 0.3,
   repulsion: 1500,
   repulsionCutoff: 200,
   linkDistance: 60,
@@ -64,3 +102,21 @@ export function folderColor(folder) {
   }
   return FOLDER_COLORS[Math.abs(hash) % FOLDER_COLORS.length];
 }
+
+// Cold → hot gradient for the churn / age / authors / hotspot color modes
+export const HEAT_COLORS = [0x1e40af, 0x06b6d4, 0x10b981, 0xf59e0b, 0xef4444];
+
+// Color for `t` in [0, 1], interpolated between the HEAT_COLORS stops
+export function heatColor(t) {
+  const scaled = Math.min(1, Math.max(0, t)) * (HEAT_COLORS.length - 1);
+  const i = Math.min(Math.floor(scaled), HEAT_COLORS.length - 2);
+  const f = scaled - i;
+  const a = HEAT_COLORS[i];
+  const b = HEAT_COLORS[i + 1];
+  const channel = (shift) => {
+    const from = (a >> shift) & 0xff;
+    const to = (b >> shift) & 0xff;
+    return Math.round(from + (to - from) * f) << shift;
+  };
+  return channel(16) | channel(8) | channel(0);
+}
@@ -0,0 +1,41 @@
+import { escapeHtml } from "./html.js";
+
+const group = document.getElementById("cycle-group");
+const list = document.getElementById("cycle-list");
+
+/**
+ * Lists the import cycles of `data` in the sidebar. Clicking a cycle calls
+ * `onFocus(cycleId)`; clicking it again calls `onFocus(null)`.
+ */
+export function buildCycleList(data, onFocus) {
+  const cycles = data.cycles || [];
+  group.style.display = cycles.length > 0 ? "block" : "none";
+  document.getElementById("cycle-count").textContent = cycles.length;
+
+  list.innerHTML = cycles.map((c) => {
+    const paths = c.paths
+      .slice(0, 5)
+      .map((p) => `<div class="cycle-path">${[...p, p[0]].map(fileLabel).join(" &rarr; ")}</div>`)
+      .join("");
+    const more = c.paths.length > 5 ? `<div class="cycle-path">+${c.paths.length - 5} more</div>` : "";
+    const isNew = c.diffStatus === "added" ? `<span class="diff-added">new</span>` : "";
+    return `<div class="cycle-item" data-cycle="${escapeHtml(c.id)}" title="${escapeHtml(c.files.join("\n"))}">
+      <div class="cycle-head">${c.files.length} files · ${c.paths.length} cycle${c.paths.length === 1 ? "" : "s"} ${isNew}</div>
+      ${paths}${more}
+    </div>`;
+  }).join("");
+
+  list.onclick = (e) => {
+    const item = e.target.closest(".cycle-item");
+    if (!item) return;
+    const wasActive = item.classList.contains("active");
+    list.querySelectorAll(".cycle-item").forEach((el) => el.classList.remove("active"));
+    if (!wasActive) item.classList.add("active");
+    onFocus(wasActive ? null : item.dataset.cycle);
+  };
+}
+
+function fileLabel(file) {
+  const name = file.split("/").pop();
+  return `<span title="${escapeHtml(file)}">${escapeHtml(name)}</span>`;
+}
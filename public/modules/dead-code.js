@@ -0,0 +1,122 @@
+import { fetchDeadCode } from "./api.js";
+import { escapeHtml } from "./html.js";
+
+const group = document.getElementById("dead-code-group");
+const list = document.getElementById("dead-code-list");
+const entryForm = document.getElementById("entry-form");
+const entryInput = document.getElementById("entry-input");
+const entryNote = document.getElementById("entry-note");
+const ghostToggle = document.getElementById("ghost-toggle");
+
+// Items listed per section before the rest is summarized
+const MAX_ITEMS = 40;
+
+const ENTRY_SOURCES = {
+  patterns: "matching your patterns",
+  detected: "from package.json and HTML pages",
+  roots: "nothing imports (none detected)",
+};
+
+let entryPatterns = [];
+let report = null;
+let revision = null;
+let ghost = () => {};
+
+/**
+ * Wires up the dead code panel. `onGhost(files)` receives the files to
+ * draw ghosted: the unreachable ones, or none when the toggle is off.
+ */
+export function initDeadCode(onGhost) {
+  ghost = onGhost;
+
+  entryForm.addEventListener("submit", (e) => {
+    e.preventDefault();
+    entryPatterns = entryInput.value.split(",").map((p) => p.trim()).filter(Boolean);
+    loadDeadCode(revision);
+  });
+  ghostToggle.addEventListener("change", applyGhosting);
+
+  // Patterns belong to a codebase
+  window.addEventListener("projectChange", () => {
+    entryPatterns = [];
+    entryInput.value = "";
+  });
+
+  list.addEventListener("click", (e) => {
+    const item = e.target.closest(".dead-item");
+    if (!item) return;
+    window.dispatchEvent(new CustomEvent("galaxyFileClick", {
+      detail: { fileId: item.dataset.file, symbolId: item.dataset.symbol },
+    }));
+  });
+}
+
+// Fetch and list the report for the working tree, or for `rev`
+export async function loadDeadCode(rev = null) {
+  revision = rev;
+  try {
+    const next = await fetchDeadCode(entryPatterns, rev);
+    if (revision !== rev) return; // superseded meanwhile
+    report = next;
+  } catch {
+    report = null;
+  }
+  render();
+  applyGhosting();
+}
+
+// Hide the panel, e.g. while comparing revisions
+export function clearDeadCode() {
+  revision = null;
+  report = null;
+  render();
+  applyGhosting();
+}
+
+function applyGhosting() {
+  ghost(report && ghostToggle.checked ? report.unreachableFiles : []);
+}
+
+function render() {
+  group.style.display = report ? "block" : "none";
+  if (!report) return;
+
+  const { entryPoints, entrySource, unreachableFiles, unusedExports, uncalledSymbols } = report;
+  document.getElementById("dead-code-count").textContent =
+    unreachableFiles.length + unusedExports.length + uncalledSymbols.length;
+  entryInput.placeholder = entryPoints.join(", ") || "src/index.js, bin/*.js";
+  entryNote.textContent =
+    `${entryPoints.length} entry point${entryPoints.length === 1 ? "" : "s"} ${ENTRY_SOURCES[entrySource]}`;
+  entryNote.title = entryPoints.join("\n");
+
+  list.innerHTML = [
+    section("Unreachable files", unreachableFiles, (file) =>
+      item({ file }, fileName(file), file)),
+    section("Unused exports", unusedExports, (exp) =>
+      item({ file: exp.file }, exp.name, `${exp.file} · ${exp.type}`)),
+    section("Uncalled functions", uncalledSymbols, (sym) =>
+      item({ file: sym.file, symbol: sym.id }, sym.name, `${sym.file}:${sym.line}`)),
+  ].join("");
+}
+
+function section(title, entries, renderItem) {
+  if (entries.length === 0) return "";
+  const more = entries.length > MAX_ITEMS
+    ? `<div class="dead-more">+${entries.length - MAX_ITEMS} more</div>`
+    : "";
+  return `<div class="dead-section">
+    <div class="dead-head">${title} <span class="count">${entries.length}</span></div>
+    ${entries.slice(0, MAX_ITEMS).map(renderItem).join("")}${more}
+  </div>`;
+}
+
+function item({ file, symbol }, label, detail) {
+  const symbolAttr = symbol ? ` data-symbol="${escapeHtml(symbol)}"` : "";
+  return `<div class="dead-item" data-file="${escapeHtml(file)}"${symbolAttr} title="${escapeHtml(detail)}">
+    ${escapeHtml(label)}<span class="dead-detail">${escapeHtml(detail)}</span>
+  </div>`;
+}
+
+function fileName(file) {
+  return file.split("/").pop();
+}
@@ -0,0 +1,30 @@
+import { escapeHtml } from "./html.js";
+
+const group = document.getElementById("diagnostic-group");
+const list = document.getElementById("diagnostic-list");
+
+/**
+ * Lists the files of `data` that failed to parse. The map is missing their
+ * imports, exports and symbols; clicking one opens it at the error.
+ */
+export function buildDiagnosticsList(data) {
+  const errors = data.parseErrors || [];
+  group.style.display = errors.length > 0 ? "block" : "none";
+  document.getElementById("diagnostic-count").textContent = errors.length;
+
+  list.innerHTML = errors.map((e) => {
+    const position = e.line ? `:${e.line}:${e.column}` : "";
+    return `<div class="diagnostic-item" data-file="${escapeHtml(e.file)}" data-line="${e.line || ""}" title="${escapeHtml(e.file + position)}">
+      <div class="diagnostic-file">${escapeHtml(e.file.split("/").pop())}<span class="diagnostic-position">${position}</span></div>
+      <div class="diagnostic-message">${escapeHtml(e.message)}</div>
+    </div>`;
+  }).join("");
+
+  list.onclick = (e) => {
+    const item = e.target.closest(".diagnostic-item");
+    if (!item) return;
+    window.dispatchEvent(new CustomEvent("galaxyFileClick", {
+      detail: { fileId: item.dataset.file, line: parseInt(item.dataset.line) || undefined },
+    }));
+  };
+}
@@ -0,0 +1,46 @@
+// Keys must match the ones src/diff.js uses when computing diffs
+const nodeKey = (n) => n.id;
+const fileEdgeKey = (e) => `${e.source}|||${e.target}`;
+const symbolEdgeKey = (e) => `${e.source}|${e.target}|${e.type}`;
+
+/**
+ * Applies a { added, removed, updated } diff to a list, keeping the
+ * original order of surviving items and appending the new ones.
+ */
+export function applyCollectionDiff(items, diff, keyFn) {
+  const removed = new Set(diff.removed);
+  const updated = new Map(diff.updated.map((item) => [keyFn(item), item]));
+
+  const result = [];
+  for (const item of items) {
+    const key = keyFn(item);
+    if (removed.has(key)) continue;
+    result.push(updated.get(key) || item);
+  }
+  result.push(...diff.added);
+  return result;
+}
+
+export function applyGraphDiff(data, diff) {
+  return {
+    ...data,
+    nodes: applyCollectionDiff(data.nodes, diff.nodes, nodeKey),
+    edges: applyCollectionDiff(data.edges, diff.edges, fileEdgeKey),
+    folders: diff.folders,
+    extensions: diff.extensions,
+    packages: diff.packages,
+    cycles: diff.cycles,
+    entryPoints: diff.entryPoints,
+    parseErrors: diff.parseErrors,
+    history: diff.history,
+  };
+}
+
+export function applySymbolsDiff(data, diff) {
+  return {
+    ...data,
+    symbols: applyCollectionDiff(data.symbols, diff.symbols, nodeKey),
+    edges: applyCollectionDiff(data.edges, diff.edges, symbolEdgeKey),
+    files: diff.files,
+  };
+}
@@ -1,10 +1,17 @@
 import { getState } from "./graph.js";
+import { EDGE_KIND_STYLES } from "./constants.js";
 
 const activeFilters = {
   folders: new Set(),
   extensions: new Set(),
   minRefs: 0,
   minWeight: 0,
+  showExternals: true,
+  minDependencies: 0,
+  hiddenEdgeKinds: new Set(),
+  collapseBarrels: false,
+  colorMode: "folder",
+  sizeMode: "refs",
 };
 
 export function getFilters() {
@@ -12,15 +19,20 @@ export function getFilters() {
 }
 
 /**
- * Returns the set of node IDs that fall below the reference threshold.
+ * Returns the set of node IDs that fall below the reference threshold,
+ * or files importing fewer npm packages than the dependency threshold.
  * These get visually dimmed but remain in the graph.
  */
 export function getDimmedNodeIds() {
   const dimmed = new Set();
-  if (activeFilters.minRefs <= 0) return dimmed;
+  const { minRefs, minDependencies } = activeFilters;
+  if (minRefs <= 0 && minDependencies <= 0) return dimmed;
 
   for (const n of getState().simNodes) {
-    if (n.incomingCount < activeFilters.minRefs) {
+    if (minRefs > 0 && n.incomingCount < minRefs) {
+      dimmed.add(n.id);
+    }
+    if (minDependencies > 0 && !n.external && (n.dependencyCount || 0) < minDependencies) {
       dimmed.add(n.id);
     }
   }
@@ -29,9 +41,11 @@ export function getDimmedNodeIds() {
 
 /**
  * Builds the sidebar filter controls and wires up their change handlers.
- * Calls `onFilterChange` whenever a filter value changes.
+ * Calls `onFilterChange` whenever a filter value changes. This runs again
+ * for every loaded graph, so the handlers below are assigned (`onchange`,
+ * `oninput`) rather than added, which would stack them.
  */
-export function buildFilterUI(data, onFilterChange) {
+export function buildFilterUI(data, onFilterChange, onStyleChange) {
   buildCheckboxGroup("folder-filters", data.folders, data.nodes, "folder", (selected) => {
     activeFilters.folders = selected;
     onFilterChange();
@@ -57,6 +71,11 @@ export function buildFilterUI(data, onFilterChange) {
       onFilterChange();
     },
   });
+
+  buildEdgeKindFilters(data, onFilterChange);
+  buildBarrelToggle(data, onFilterChange);
+  buildExternalFilters(data, onFilterChange);
+  buildDisplayModes(data, onStyleChange);
 }
 
 // ─── Internal ─────────────────────────────────────────────────────
@@ -82,7 +101,7 @@ function buildCheckboxGroup(containerId, items, nodes, nodeKey, onChange) {
     container.appendChild(label);
   }
 
-  container.addEventListener("change", () => {
+  container.onchange = () => {
     const checked = container.querySelectorAll("input:checked");
     const all = container.querySelectorAll("input");
 
@@ -92,17 +111,110 @@ function buildCheckboxGroup(containerId, items, nodes, nodeKey, onChange) {
       const attr = nodeKey === "folder" ? "folder" : "ext";
       onChange(new Set([...checked].map((c) => c.dataset[attr])));
     }
+  };
+}
+
+// One checkbox per edge kind present, colored like the edges it controls
+function buildEdgeKindFilters(data, onFilterChange) {
+  const container = document.getElementById("edge-kind-filters");
+  const counts = {};
+  for (const e of data.edges) {
+    for (const kind of e.kinds) counts[kind] = (counts[kind] || 0) + 1;
+  }
+
+  container.innerHTML = Object.entries(EDGE_KIND_STYLES)
+    .filter(([kind]) => counts[kind])
+    .map(([kind, style]) => {
+      const swatch = "#" + style.color.toString(16).padStart(6, "0");
+      const line = style.dashed ? "dashed" : "solid";
+      return `<label class="filter-item">
+        <input type="checkbox" data-kind="${kind}" ${activeFilters.hiddenEdgeKinds.has(kind) ? "" : "checked"}>
+        <span class="edge-swatch" style="border-top: 2px ${line} ${swatch}"></span>
+        <span>${style.label}</span>
+        <span class="count">${counts[kind]}</span>
+      </label>`;
+    })
+    .join("");
+
+  container.onchange = () => {
+    const unchecked = container.querySelectorAll("input:not(:checked)");
+    activeFilters.hiddenEdgeKinds = new Set([...unchecked].map((c) => c.dataset.kind));
+    onFilterChange();
+  };
+}
+
+// Offered when the codebase has barrel files (see collapseBarrels in graph.js)
+function buildBarrelToggle(data, onFilterChange) {
+  const barrels = data.nodes.filter((n) => n.barrel).length;
+  document.getElementById("barrel-toggle-item").style.display = barrels > 0 ? "flex" : "none";
+  document.getElementById("barrel-count").textContent = barrels;
+
+  const toggle = document.getElementById("barrel-toggle");
+  toggle.checked = activeFilters.collapseBarrels;
+  toggle.onchange = () => {
+    activeFilters.collapseBarrels = toggle.checked;
+    onFilterChange();
+  };
+}
+
+function buildExternalFilters(data, onFilterChange) {
+  const externals = data.nodes.filter((n) => n.external);
+  document.getElementById("external-filter-group").style.display = externals.length > 0 ? "block" : "none";
+  document.getElementById("external-count").textContent = externals.length;
+
+  const toggle = document.getElementById("external-toggle");
+  toggle.onchange = () => {
+    activeFilters.showExternals = toggle.checked;
+    onFilterChange();
+  };
+
+  bindSlider("deps-slider", "deps-val", {
+    max: Math.max(10, ...data.nodes.map((n) => n.dependencyCount || 0)),
+    onChange(value) {
+      activeFilters.minDependencies = value;
+      onFilterChange();
+    },
   });
 }
 
+// Color/size mode selects. The git-based modes are only offered when the
+// server found history for the analyzed root.
+function buildDisplayModes(data, onStyleChange) {
+  const hasHistory = !!data.history;
+  const colorSelect = document.getElementById("color-mode");
+  const sizeSelect = document.getElementById("size-mode");
+
+  for (const select of [colorSelect, sizeSelect]) {
+    for (const option of select.querySelectorAll("option[data-git]")) {
+      option.disabled = !hasHistory;
+    }
+  }
+  if (!hasHistory) {
+    if (colorSelect.selectedOptions[0]?.disabled) colorSelect.value = "folder";
+    if (sizeSelect.selectedOptions[0]?.disabled) sizeSelect.value = "refs";
+  }
+  activeFilters.colorMode = colorSelect.value;
+  activeFilters.sizeMode = sizeSelect.value;
+  document.getElementById("history-note").style.display = hasHistory ? "none" : "block";
+
+  colorSelect.onchange = () => {
+    activeFilters.colorMode = colorSelect.value;
+    onStyleChange();
+  };
+  sizeSelect.onchange = () => {
+    activeFilters.sizeMode = sizeSelect.value;
+    onStyleChange();
+  };
+}
+
 function bindSlider(sliderId, displayId, { max, onChange }) {
   const slider = document.getElementById(sliderId);
   const display = document.getElementById(displayId);
 
   slider.max = max;
-  slider.addEventListener("input", () => {
+  slider.oninput = () => {
     const value = parseInt(slider.value);
     display.textContent = value;
     onChange(value);
-  });
+  };
 }
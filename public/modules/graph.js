@@ -1,5 +1,5 @@
 import * as THREE from "three";
-import { NODE, EDGE, THEME, folderColor } from "./constants.js";
+import { NODE, EDGE, THEME, TRANSITION, DIFF_COLORS, EDGE_KIND_STYLES, folderColor, heatColor } from "./constants.js";
 import { createSimulation } from "./simulation.js";
 import { getScene } from "./scene.js";
 
@@ -15,31 +15,89 @@ const state = {
   simEdges: [],
   simulation: null,
   is3D: true,
+  transitions: [], // objects growing in or fading out, see animateTransitions()
+  cycleOutlines: {}, // nodeId -> wireframe shell around import-cycle members
+  focusedCycle: null,
+  ghostedIds: new Set(), // files drawn faint, e.g. dead code nobody reaches
+  violatingEdges: new Set(), // "source|||target" keys of edges that break an architecture rule
 };
 
 export function getState() { return state; }
 
-export function buildGraph(data, filters) {
+/**
+ * Rebuilds the scene from `data`. With `preserveLayout`, nodes that were
+ * already on screen keep their positions, the simulation only settles
+ * gently around the changes, and added/removed nodes and edges grow in or
+ * fade out (used for live updates and the history timeline).
+ */
+export function buildGraph(data, filters, { preserveLayout = false } = {}) {
+  const previous = preserveLayout ? new Map(state.simNodes.map((n) => [n.id, n])) : null;
+  const previousEdges = new Set(Object.keys(state.edgeLines));
+  const { nodes, edges } = applyFilters(data, filters);
+  const leaving = preserveLayout ? detachRemoved(nodes, edges) : [];
   clearScene();
+  state.transitions = leaving;
 
   state.graphData = data;
-  const { nodes, edges } = applyFilters(data, filters);
+  if (!data.cycles?.some((c) => c.id === state.focusedCycle)) state.focusedCycle = null;
   if (nodes.length === 0) return;
 
-  createNodeMeshes(nodes);
+  createNodeMeshes(nodes, filters);
   createNodeLabels(nodes);
+  createCycleOutlines(nodes);
 
-  state.simNodes = nodes.map((n) => ({ ...n }));
+  state.simNodes = nodes.map((n) => {
+    const prev = previous?.get(n.id);
+    if (!prev) return { ...n };
+    const { x, y, z, vx, vy, vz, fx, fy, fz } = prev;
+    return { ...n, x, y, z, vx, vy, vz, fx, fy, fz };
+  });
   state.simEdges = edges.map((e) => ({ ...e }));
 
   computeCurveOffsets(state.simEdges);
   createEdgeCurves(state.simEdges);
 
-  state.simulation = createSimulation(state.simNodes, state.simEdges, state.is3D);
+  state.simulation = createSimulation(state.simNodes, state.simEdges, state.is3D, { warm: preserveLayout });
+
+  if (preserveLayout) {
+    for (const node of nodes) {
+      if (previous.has(node.id)) continue;
+      state.transitions.push({ object: state.nodeMeshes[node.id], entering: true, frame: 0 });
+      state.transitions.push({ object: state.nodeLabels[node.id], entering: true, frame: 0 });
+    }
+    for (const [key, line] of Object.entries(state.edgeLines)) {
+      if (!previousEdges.has(key)) state.transitions.push({ object: line, entering: true, frame: 0 });
+    }
+    for (const t of state.transitions) captureTransitionStart(t);
+  }
 
   return { nodeCount: nodes.length, edgeCount: edges.length };
 }
 
+/**
+ * Re-applies the color and size modes from `filters` to the nodes on
+ * screen without rebuilding the scene or disturbing the layout.
+ */
+export function restyleNodes(filters) {
+  const ranges = metricRanges(state.simNodes);
+
+  for (const node of state.simNodes) {
+    const mesh = state.nodeMeshes[node.id];
+    if (!mesh) continue;
+
+    const size = nodeSize(node, filters.sizeMode, ranges);
+    const color = nodeColor(node, filters.colorMode, ranges);
+    mesh.scale.setScalar(size);
+    mesh.material.color.set(color);
+    mesh.material.emissive.set(color);
+    mesh.userData.baseSize = size;
+    mesh.userData.baseColor = color;
+
+    const label = state.nodeLabels[node.id];
+    if (label) label.scale.set(size * 4, size * 1, 1);
+  }
+}
+
 export function setIs3D(value) {
   state.is3D = value;
 }
@@ -50,6 +108,41 @@ export function tickSimulation(dimmedIds) {
 
   syncNodePositions(dimmedIds);
   syncEdgeCurves(dimmedIds);
+  animateCycleEdges();
+  animateTransitions();
+  syncArrowheads();
+}
+
+/**
+ * Focuses one import cycle (an entry of graphData.cycles): its files and
+ * edges stay lit while everything else dims. Pass null to clear.
+ */
+export function focusCycle(cycleId) {
+  state.focusedCycle = cycleId;
+  resetHighlights();
+}
+
+/**
+ * Draws the files in `ids` ghosted (faint, barely lit), such as files no
+ * entry point reaches. Pass an empty list to clear.
+ */
+export function setGhostedNodes(ids) {
+  state.ghostedIds = new Set(ids);
+  resetHighlights();
+}
+
+/**
+ * Draws the edges in `keys` ("source|||target") red, as breaking an
+ * architecture rule. Pass an empty list to clear.
+ */
+export function setViolatingEdges(keys) {
+  state.violatingEdges = new Set(keys);
+  for (const line of Object.values(state.edgeLines)) {
+    const color = edgeColor(line.userData.edge);
+    line.userData.baseColor = color;
+    line.material.color.set(color);
+  }
+  resetHighlights();
 }
 
 export function findSimNode(nodeId) {
@@ -70,7 +163,7 @@ export function highlightConnections(nodeId, dimOpacity) {
 
   for (const [id, mesh] of Object.entries(state.nodeMeshes)) {
     if (connected.has(id)) {
-      mesh.material.opacity = NODE.opacity;
+      mesh.material.opacity = baseOpacity(id);
       mesh.material.emissiveIntensity =
         id === nodeId ? NODE.emissiveHighlightSelf : NODE.emissiveHighlightNeighbor;
     } else {
@@ -83,32 +176,63 @@ export function highlightConnections(nodeId, dimOpacity) {
     const e = line.userData.edge;
     if (e.source === nodeId || e.target === nodeId) {
       line.material.opacity = EDGE.highlightOpacity;
-      line.material.color.set(THEME.accentHighlight);
+      const changed = e.diffStatus && e.diffStatus !== "unchanged";
+      line.material.color.set(changed ? line.userData.baseColor : THEME.accentHighlight);
     } else {
       line.material.opacity = dimOpacity * 0.3;
-      line.material.color.set(THEME.accent);
+      line.material.color.set(line.userData.baseColor);
     }
   }
 }
 
 export function resetHighlights() {
+  if (state.focusedCycle !== null) {
+    highlightCycle(state.focusedCycle);
+    return;
+  }
   const maxWeight = Math.max(1, ...state.simEdges.map((e) => e.weight));
 
-  for (const mesh of Object.values(state.nodeMeshes)) {
-    mesh.material.opacity = NODE.opacity;
-    mesh.material.emissiveIntensity = NODE.emissive;
+  for (const [id, mesh] of Object.entries(state.nodeMeshes)) {
+    mesh.material.opacity = baseOpacity(id);
+    mesh.material.emissiveIntensity = baseEmissive(id);
   }
   for (const line of Object.values(state.edgeLines)) {
     const e = line.userData.edge;
-    line.material.opacity = EDGE.baseOpacity + (e.weight / maxWeight) * EDGE.opacityRange;
-    line.material.color.set(THEME.accent);
+    line.material.opacity = edgeOpacity(e, maxWeight);
+    line.material.color.set(line.userData.baseColor);
+  }
+}
+
+function highlightCycle(cycleId) {
+  for (const mesh of Object.values(state.nodeMeshes)) {
+    const inCycle = mesh.userData.nodeData.cycle === cycleId;
+    mesh.material.opacity = inCycle ? NODE.opacity : NODE.opacityDimmed;
+    mesh.material.emissiveIntensity = inCycle ? NODE.emissiveHighlightSelf : NODE.emissiveDimmed;
+  }
+  for (const line of Object.values(state.edgeLines)) {
+    const inCycle = line.userData.edge.cycle === cycleId;
+    line.material.opacity = inCycle ? EDGE.highlightOpacity : EDGE.thresholdDimmedOpacity;
   }
 }
 
 // ─── Internal ─────────────────────────────────────────────────────
 
+function baseOpacity(id) {
+  return state.ghostedIds.has(id) ? NODE.opacityGhost : NODE.opacity;
+}
+
+function baseEmissive(id) {
+  return state.ghostedIds.has(id) ? NODE.emissiveGhost : NODE.emissive;
+}
+
 function clearScene() {
   const scene = getScene();
+  for (const o of Object.values(state.cycleOutlines)) scene.remove(o);
+  state.cycleOutlines = {};
+  for (const t of state.transitions) {
+    if (!t.entering) scene.remove(t.object);
+  }
+  state.transitions = [];
   for (const m of Object.values(state.nodeMeshes)) scene.remove(m);
   for (const l of Object.values(state.nodeLabels)) scene.remove(l);
   for (const l of Object.values(state.edgeLines)) scene.remove(l);
@@ -119,7 +243,10 @@ function clearScene() {
 }
 
 function applyFilters(data, filters) {
+  if (filters.collapseBarrels) data = collapseBarrels(data);
   const nodes = data.nodes.filter((n) => {
+    // npm package nodes have their own toggle and ignore folder/extension filters
+    if (n.external) return filters.showExternals;
     if (filters.folders.size > 0 && !filters.folders.has(n.folder)) return false;
     if (filters.extensions.size > 0 && !filters.extensions.has(n.extension)) return false;
     return true;
@@ -129,31 +256,84 @@ function applyFilters(data, filters) {
   const edges = data.edges.filter((e) => {
     if (!nodeIds.has(e.source) || !nodeIds.has(e.target)) return false;
     if (e.weight < filters.minWeight) return false;
+    // Hidden only when every way the file is reached is a hidden kind
+    if (e.kinds.every((kind) => filters.hiddenEdgeKinds.has(kind))) return false;
     return true;
   });
 
   return { nodes, edges };
 }
 
+// Drops barrel files (index.js files that only re-export) and points each
+// edge into one straight at the files that provide what was imported
+function collapseBarrels(data) {
+  const barrels = new Set(data.nodes.filter((n) => n.barrel).map((n) => n.id));
+  if (barrels.size === 0) return data;
+
+  const edges = new Map();
+  const addEdge = (edge) => {
+    const key = edge.source + EDGE_KEY_SEP + edge.target;
+    const existing = edges.get(key);
+    if (!existing) {
+      edges.set(key, edge);
+      return;
+    }
+    const kinds = [...new Set([...existing.kinds, ...edge.kinds])];
+    edges.set(key, {
+      ...existing,
+      kinds,
+      // EDGE_KIND_STYLES lists kinds strongest first, like the server does
+      kind: Object.keys(EDGE_KIND_STYLES).find((k) => kinds.includes(k)) || existing.kind,
+      weight: existing.weight + edge.weight,
+      references: [...existing.references, ...edge.references],
+      via: [...new Set([...(existing.via || []), ...(edge.via || [])])],
+    });
+  };
+
+  for (const edge of data.edges) {
+    if (barrels.has(edge.source)) continue;
+    if (!barrels.has(edge.target)) {
+      addEdge(edge);
+      continue;
+    }
+    for (const provider of edge.providers || []) {
+      if (provider === edge.source) continue;
+      const rerouted = { ...edge, target: provider, via: [edge.target] };
+      // Rerouted edges don't carry cycle marks: those were found through the barrel
+      delete rerouted.cycle;
+      delete rerouted.providers;
+      addEdge(rerouted);
+    }
+  }
+
+  return { ...data, nodes: data.nodes.filter((n) => !barrels.has(n.id)), edges: [...edges.values()] };
+}
+
 const sharedSphereGeo = new THREE.SphereGeometry(1, NODE.segments, NODE.segments);
+const sharedExternalGeo = new THREE.OctahedronGeometry(1.2);
+const sharedBrokenGeo = new THREE.TetrahedronGeometry(1.3);
+const sharedOutlineGeo = new THREE.IcosahedronGeometry(1, 1);
+const sharedArrowGeo = new THREE.ConeGeometry(EDGE.arrowRadius, EDGE.arrowLength, 8);
 
-function createNodeMeshes(nodes) {
+function createNodeMeshes(nodes, filters) {
   const scene = getScene();
-  const maxIncoming = Math.max(1, ...nodes.map((n) => n.incomingCount));
+  const ranges = metricRanges(nodes);
 
   for (const node of nodes) {
-    const size = NODE.minSize + (node.incomingCount / maxIncoming) * NODE.maxSizeBonus;
-    const color = folderColor(node.folder);
+    const size = nodeSize(node, filters.sizeMode, ranges);
+    const color = nodeColor(node, filters.colorMode, ranges);
 
     const material = new THREE.MeshPhongMaterial({
       color,
       emissive: color,
-      emissiveIntensity: NODE.emissive,
+      emissiveIntensity: baseEmissive(node.id),
       transparent: true,
-      opacity: NODE.opacity,
+      opacity: baseOpacity(node.id),
+      // Files that failed to parse are drawn as broken shards: their edges are missing
+      wireframe: !!node.parseError,
     });
 
-    const mesh = new THREE.Mesh(sharedSphereGeo, material);
+    const mesh = new THREE.Mesh(nodeGeometry(node), material);
     mesh.scale.setScalar(size);
     mesh.userData = { nodeId: node.id, nodeData: node, baseSize: size, baseColor: color };
 
@@ -162,12 +342,153 @@ function createNodeMeshes(nodes) {
   }
 }
 
+function nodeGeometry(node) {
+  if (node.external) return sharedExternalGeo;
+  if (node.parseError) return sharedBrokenGeo;
+  return sharedSphereGeo;
+}
+
+// ─── Import Cycles ────────────────────────────────────────────────
+
+const cycleOutlineMaterial = new THREE.MeshBasicMaterial({
+  color: THEME.cycle,
+  wireframe: true,
+  transparent: true,
+  opacity: 0.35,
+});
+
+function createCycleOutlines(nodes) {
+  const scene = getScene();
+  for (const node of nodes) {
+    if (node.cycle === undefined) continue;
+    const outline = new THREE.Mesh(sharedOutlineGeo, cycleOutlineMaterial);
+    scene.add(outline);
+    state.cycleOutlines[node.id] = outline;
+  }
+}
+
+// Cycle edges pulse so they stand out from ordinary imports; with a cycle
+// focused, only its edges do
+function animateCycleEdges() {
+  const pulse = 0.5 + 0.5 * Math.sin(performance.now() / 250);
+  for (const line of Object.values(state.edgeLines)) {
+    const { cycle } = line.userData.edge;
+    if (cycle === undefined) continue;
+    if (state.focusedCycle !== null && cycle !== state.focusedCycle) continue;
+    line.material.opacity = EDGE.cycleOpacity + pulse * EDGE.cyclePulse;
+  }
+}
+
+// ─── Transitions ──────────────────────────────────────────────────
+
+// Takes the meshes, labels and edge lines that are not part of the new
+// graph out of the state (so clearScene leaves them on screen) and returns
+// them as fading-out transitions.
+function detachRemoved(nodes, edges) {
+  const nodeIds = new Set(nodes.map((n) => n.id));
+  const edgeKeys = new Set(edges.map((e) => e.source + EDGE_KEY_SEP + e.target));
+  const leaving = [];
+
+  for (const id of Object.keys(state.nodeMeshes)) {
+    if (nodeIds.has(id)) continue;
+    leaving.push({ object: state.nodeMeshes[id], entering: false, frame: 0 });
+    if (state.nodeLabels[id]) leaving.push({ object: state.nodeLabels[id], entering: false, frame: 0 });
+    delete state.nodeMeshes[id];
+    delete state.nodeLabels[id];
+  }
+  for (const key of Object.keys(state.edgeLines)) {
+    if (edgeKeys.has(key)) continue;
+    leaving.push({ object: state.edgeLines[key], entering: false, frame: 0 });
+    delete state.edgeLines[key];
+  }
+  return leaving;
+}
+
+// Remember the full scale and opacity each transition animates to or from
+function captureTransitionStart(t) {
+  t.scale = t.object.scale.clone();
+  t.opacity = t.object.material.opacity;
+  applyTransition(t, 0);
+}
+
+function animateTransitions() {
+  if (state.transitions.length === 0) return;
+  const scene = getScene();
+
+  state.transitions = state.transitions.filter((t) => {
+    t.frame++;
+    const progress = Math.min(1, t.frame / TRANSITION.frames);
+    applyTransition(t, progress);
+    if (progress < 1) return true;
+    if (!t.entering) scene.remove(t.object);
+    return false;
+  });
+}
+
+function applyTransition(t, progress) {
+  // Ease out, so things settle rather than stop abruptly
+  const eased = 1 - (1 - progress) * (1 - progress);
+  const amount = t.entering ? eased : 1 - eased;
+  // Edge lines are positioned by their vertices, so they only fade
+  if (!t.object.isLine) t.object.scale.copy(t.scale).multiplyScalar(Math.max(amount, 0.001));
+  t.object.material.opacity = t.opacity * amount;
+}
+
+// ─── Color & Size Modes ───────────────────────────────────────────
+
+// Per-file values behind each mode; the git ones come from node.history
+const METRICS = {
+  refs: (n) => n.incomingCount,
+  lines: (n) => n.lines,
+  churn: (n) => n.history?.commits || 0,
+  authors: (n) => n.history?.authors.length || 0,
+  age: (n) => n.history?.lastModified || 0,
+  hotspot: (n) => (n.history?.commits || 0) * n.incomingCount,
+};
+
+function metricRanges(nodes) {
+  const files = nodes.filter((n) => !n.external);
+  const ranges = {};
+  for (const [metric, valueOf] of Object.entries(METRICS)) {
+    // Package nodes only ever size by references, so only that range includes them
+    const pool = metric === "refs" ? nodes : files;
+    const values = pool.filter((n) => metric !== "age" || n.history).map(valueOf);
+    ranges[metric] = { min: Math.min(...values), max: Math.max(1, ...values) };
+  }
+  return ranges;
+}
+
+// Position of a node's value within its range, 0..1. Git metrics are
+// heavily skewed, so they use a log scale; age is relative to the oldest file.
+function normalizedMetric(node, metric, ranges) {
+  const value = METRICS[metric](node);
+  const { min, max } = ranges[metric];
+  if (metric === "age") return max > min ? (value - min) / (max - min) : 1;
+  if (metric === "refs" || metric === "lines") return value / max;
+  return Math.log1p(value) / Math.log1p(max);
+}
+
+function nodeSize(node, mode, ranges) {
+  // Package nodes have no lines or history; they always size by references
+  const metric = node.external ? "refs" : mode;
+  return NODE.minSize + normalizedMetric(node, metric, ranges) * NODE.maxSizeBonus;
+}
+
+function nodeColor(node, mode, ranges) {
+  if (node.diffStatus) return DIFF_COLORS[node.diffStatus];
+  if (node.parseError) return THEME.broken;
+  if (node.external) return THEME.external;
+  if (mode === "folder") return folderColor(node.package || node.folder);
+  if (!node.history) return THEME.noHistory;
+  return heatColor(normalizedMetric(node, mode, ranges));
+}
+
 function createNodeLabels(nodes) {
   const scene = getScene();
 
   for (const node of nodes) {
-    // Show just the filename without extension, truncated
-    const basename = node.id.split("/").pop().replace(/\.[^.]+$/, "");
+    // Show just the filename without extension (or the package name), truncated
+    const basename = node.external ? node.name : node.id.split("/").pop().replace(/\.[^.]+$/, "");
     const label = basename.length > 10 ? basename.slice(0, 9) + "..." : basename;
 
     const canvas = document.createElement("canvas");
@@ -249,7 +570,7 @@ function createEdgeCurves(edges) {
   for (const edge of edges) {
     if (!state.nodeMeshes[edge.source] || !state.nodeMeshes[edge.target]) continue;
 
-    const opacity = EDGE.baseOpacity + (edge.weight / maxWeight) * EDGE.opacityRange;
+    const opacity = edgeOpacity(edge, maxWeight);
 
     // Allocate enough vertices for the curve segments
     const vertexCount = segments + 1;
@@ -257,21 +578,51 @@ function createEdgeCurves(edges) {
     const geometry = new THREE.BufferGeometry();
     geometry.setAttribute("position", new THREE.BufferAttribute(positions, 3));
 
-    const material = new THREE.LineBasicMaterial({
-      color: THEME.accent,
-      transparent: true,
-      opacity,
-      linewidth: 1,
-    });
+    const style = EDGE_KIND_STYLES[edge.kind] || EDGE_KIND_STYLES.import;
+    const color = edgeColor(edge);
+    const material = style.dashed
+      ? new THREE.LineDashedMaterial({
+        color,
+        transparent: true,
+        opacity,
+        dashSize: EDGE.dashSize,
+        gapSize: EDGE.gapSize,
+      })
+      : new THREE.LineBasicMaterial({
+        color,
+        transparent: true,
+        opacity,
+        linewidth: 1,
+      });
 
     const line = new THREE.Line(geometry, material);
-    line.userData = { edge };
+    line.userData = { edge, baseColor: color };
+
+    // Arrowhead at the imported end; follows the line's color and opacity
+    const arrow = new THREE.Mesh(sharedArrowGeo, new THREE.MeshBasicMaterial({ color, transparent: true, opacity }));
+    line.add(arrow);
+    line.userData.arrow = arrow;
 
     scene.add(line);
     state.edgeLines[edge.source + EDGE_KEY_SEP + edge.target] = line;
   }
 }
 
+// Diff status (while comparing revisions) wins over rule violations, then
+// cycle membership, then the edge kind
+function edgeColor(edge) {
+  if (edge.diffStatus) return DIFF_COLORS[edge.diffStatus];
+  if (state.violatingEdges.has(edge.source + EDGE_KEY_SEP + edge.target)) return THEME.violation;
+  if (edge.cycle !== undefined) return THEME.cycle;
+  return (EDGE_KIND_STYLES[edge.kind] || EDGE_KIND_STYLES.import).color;
+}
+
+// Heavier links are more opaque; rule violations always stand out
+function edgeOpacity(edge, maxWeight) {
+  if (state.violatingEdges.has(edge.source + EDGE_KEY_SEP + edge.target)) return EDGE.violationOpacity;
+  return EDGE.baseOpacity + (edge.weight / maxWeight) * EDGE.opacityRange;
+}
+
 // Reusable vectors to avoid per-frame allocations
 const _src = new THREE.Vector3();
 const _tgt = new THREE.Vector3();
@@ -281,6 +632,7 @@ const _perp = new THREE.Vector3();
 const _ctrl = new THREE.Vector3();
 const _up = new THREE.Vector3(0, 0, 1);
 const _pt = new THREE.Vector3();
+const _coneAxis = new THREE.Vector3(0, 1, 0);
 
 function syncEdgeCurves(dimmedIds) {
   const hasDimming = dimmedIds && dimmedIds.size > 0;
@@ -326,6 +678,9 @@ function syncEdgeCurves(dimmedIds) {
       pos[idx + 2] = _pt.z;
     }
     line.geometry.attributes.position.needsUpdate = true;
+    if (line.material.isLineDashedMaterial) line.computeLineDistances();
+
+    placeArrow(line.userData.arrow, tMesh);
 
     if (hasDimming && (dimmedIds.has(edge.source) || dimmedIds.has(edge.target))) {
       line.material.opacity = EDGE.thresholdDimmedOpacity;
@@ -333,6 +688,27 @@ function syncEdgeCurves(dimmedIds) {
   }
 }
 
+// Arrowheads mirror their line's current color and opacity, however those
+// were last set (highlighting, dimming, pulsing, transitions)
+function syncArrowheads() {
+  const lines = [...Object.values(state.edgeLines), ...state.transitions.map((t) => t.object)];
+  for (const line of lines) {
+    const arrow = line.userData.arrow;
+    if (!arrow) continue;
+    arrow.material.color.copy(line.material.color);
+    arrow.material.opacity = Math.min(1, line.material.opacity * 2);
+  }
+}
+
+// Puts the arrowhead just outside the target node, pointing along the
+// curve's final tangent (from the control point toward the target)
+function placeArrow(arrow, targetMesh) {
+  _dir.subVectors(_tgt, _ctrl).normalize();
+  const back = targetMesh.userData.baseSize + EDGE.arrowLength / 2;
+  arrow.position.copy(_tgt).addScaledVector(_dir, -back);
+  arrow.quaternion.setFromUnitVectors(_coneAxis, _dir);
+}
+
 function quadraticBezier(p0, p1, p2, t, target) {
   const inv = 1 - t;
   target.x = inv * inv * p0.x + 2 * inv * t * p1.x + t * t * p2.x;
@@ -350,6 +726,12 @@ function syncNodePositions(dimmedIds) {
 
     mesh.position.set(simNode.x, simNode.y, simNode.z);
 
+    const outline = state.cycleOutlines[simNode.id];
+    if (outline) {
+      outline.position.copy(mesh.position);
+      outline.scale.setScalar(mesh.userData.baseSize * 1.6);
+    }
+
     const label = state.nodeLabels[simNode.id];
     if (label) {
       const offset = mesh.userData.baseSize + 1.5;
@@ -358,8 +740,8 @@ function syncNodePositions(dimmedIds) {
 
     if (hasDimming) {
       const isDimmed = dimmedIds.has(simNode.id);
-      mesh.material.opacity = isDimmed ? NODE.opacityDimmed : NODE.opacity;
-      mesh.material.emissiveIntensity = isDimmed ? NODE.emissiveThresholdDimmed : NODE.emissive;
+      mesh.material.opacity = isDimmed ? NODE.opacityDimmed : baseOpacity(simNode.id);
+      mesh.material.emissiveIntensity = isDimmed ? NODE.emissiveThresholdDimmed : baseEmissive(simNode.id);
       if (label) label.material.opacity = isDimmed ? 0.05 : 1.0;
     }
   }
@@ -0,0 +1,91 @@
+import { escapeHtml } from "./html.js";
+
+const panel = document.getElementById("hierarchy-panel");
+const toggle = document.getElementById("hierarchy-toggle");
+
+const INHERITANCE_TYPES = new Set(["extends", "implements"]);
+
+let visible = false;
+let onSelectCallback = null;
+let current = null; // { symbol, symbols, edges }
+
+/**
+ * Sets up the class hierarchy view, an alternative to the symbol graph for
+ * classes and interfaces. `onSelect(symbol)` is called when a class in the
+ * tree is clicked.
+ */
+export function initHierarchy(onSelect) {
+  onSelectCallback = onSelect;
+  toggle.addEventListener("click", () => {
+    visible = !visible;
+    render();
+  });
+  panel.addEventListener("click", (e) => {
+    const item = e.target.closest("[data-symbol]");
+    if (!item || !current) return;
+    const sym = current.symbols.find((s) => s.id === item.dataset.symbol);
+    if (sym && onSelectCallback) onSelectCallback(sym);
+  });
+}
+
+// Show the hierarchy of `symbol`; the toggle only appears for classes and interfaces
+export function updateHierarchy(symbol, symbols, edges) {
+  current = { symbol, symbols, edges };
+  render();
+}
+
+function render() {
+  const applicable = current && (current.symbol.type === "class" || current.symbol.type === "interface");
+  toggle.style.display = applicable ? "block" : "none";
+  toggle.classList.toggle("active", applicable && visible);
+  panel.style.display = applicable && visible ? "block" : "none";
+  if (!applicable || !visible) return;
+
+  const { symbol, symbols, edges } = current;
+  const byId = new Map(symbols.map((s) => [s.id, s]));
+  const parents = new Map(); // id -> [{ id, type }]
+  const children = new Map();
+  for (const e of edges) {
+    if (!INHERITANCE_TYPES.has(e.type)) continue;
+    if (!parents.has(e.source)) parents.set(e.source, []);
+    if (!children.has(e.target)) children.set(e.target, []);
+    parents.get(e.source).push({ id: e.target, type: e.type });
+    children.get(e.target).push({ id: e.source, type: e.type });
+  }
+
+  const ancestors = renderTree(symbol.id, parents, byId, new Set([symbol.id]));
+  const descendants = renderTree(symbol.id, children, byId, new Set([symbol.id]));
+
+  panel.innerHTML = `
+    <div class="hierarchy-section">
+      <h4>Ancestors</h4>
+      ${ancestors || `<div class="hierarchy-none">None found</div>`}
+    </div>
+    <div class="hierarchy-current">${itemHtml(symbol, null)}</div>
+    <div class="hierarchy-section">
+      <h4>Descendants</h4>
+      ${descendants || `<div class="hierarchy-none">None found</div>`}
+    </div>`;
+}
+
+// Nested list of everything reachable from `id` through `links`. `seen`
+// guards against inheritance loops in broken code.
+function renderTree(id, links, byId, seen) {
+  const items = (links.get(id) || [])
+    .filter((link) => byId.has(link.id) && !seen.has(link.id))
+    .map((link) => {
+      const nextSeen = new Set(seen).add(link.id);
+      return `<li>${itemHtml(byId.get(link.id), link.type)}${renderTree(link.id, links, byId, nextSeen)}</li>`;
+    });
+  return items.length > 0 ? `<ul class="hierarchy-tree">${items.join("")}</ul>` : "";
+}
+
+function itemHtml(sym, relation) {
+  const relationBadge = relation ? `<span class="hierarchy-relation">${relation}</span>` : "";
+  return `<div class="hierarchy-item" data-symbol="${escapeHtml(sym.id)}">
+    <span class="sym-type type-${sym.type}">${sym.type}</span>
+    <span class="hierarchy-name">${escapeHtml(sym.name)}</span>
+    ${relationBadge}
+    <span class="hierarchy-file">${escapeHtml(sym.file)}</span>
+  </div>`;
+}
@@ -0,0 +1,4 @@
+// Escapes text for use in HTML, inside elements or quoted attributes
+export function escapeHtml(str) {
+  return String(str).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+}
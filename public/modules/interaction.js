@@ -125,10 +125,14 @@ function handleClick(event) {
   } else if (mesh) {
     selectedNode = mesh;
     highlightConnections(mesh.userData.nodeId, 0.03);
-    // Dispatch event so galaxy.js can navigate to explorer
-    window.dispatchEvent(new CustomEvent("galaxyFileClick", {
-      detail: { fileId: mesh.userData.nodeId },
-    }));
+    // Dispatch event so galaxy.js can navigate to explorer (package nodes have no symbols;
+    // files that failed to parse open at the error)
+    const { external, parseError } = mesh.userData.nodeData;
+    if (!external) {
+      window.dispatchEvent(new CustomEvent("galaxyFileClick", {
+        detail: { fileId: mesh.userData.nodeId, line: parseError?.line },
+      }));
+    }
   } else {
     selectedNode = null;
     resetHighlights();
@@ -141,10 +145,18 @@ const tooltip = document.getElementById("tooltip");
 
 function showTooltip(mesh, event) {
   const data = mesh.userData.nodeData;
+  if (data.external) {
+    showExternalTooltip(data, event);
+    return;
+  }
 
   tooltip.querySelector(".tt-file").textContent = data.id;
+  const location = data.package ? `${data.package} · ${data.folder}/` : `${data.folder}/`;
+  const deps = data.dependencyCount ? ` · ${data.dependencyCount} npm deps` : "";
   tooltip.querySelector(".tt-meta").textContent =
-    `${data.lines} lines · ${data.incomingCount} incoming refs · ${data.folder}/`;
+    `${data.lines} lines · ${data.incomingCount} incoming refs${deps} · ${location}` + historySummary(data.history) + diffSummary(data) +
+    (data.barrel ? "\nBarrel file: only re-exports other modules" : "") +
+    (data.parseError ? `\nCould not parse (${data.parseError.line}:${data.parseError.column}): ${data.parseError.message}` : "");
 
   const exportsHtml = data.exports
     .slice(0, 10)
@@ -157,6 +169,33 @@ function showTooltip(mesh, event) {
   positionTooltip(event.clientX, event.clientY);
 }
 
+function historySummary(history) {
+  if (!history) return "";
+  const authors = history.authors.slice(0, 3).join(", ") + (history.authors.length > 3 ? ", …" : "");
+  const modified = new Date(history.lastModified).toLocaleDateString();
+  return `\n${history.commits} commit${history.commits === 1 ? "" : "s"} · last ${modified} · ${authors}`;
+}
+
+function diffSummary(data) {
+  if (!data.diffStatus || data.diffStatus === "unchanged") return "";
+  const changes = data.exportChanges;
+  const details = changes
+    ? [...changes.added.map((n) => `+${n}`), ...changes.removed.map((n) => `\u2212${n}`)].slice(0, 8).join(" ")
+    : "";
+  return `\n${data.diffStatus}${details ? ": " + details : ""}`;
+}
+
+function showExternalTooltip(data, event) {
+  const version = data.version || data.range || "unknown version";
+  tooltip.querySelector(".tt-file").textContent = `${data.name}@${version}`;
+  tooltip.querySelector(".tt-meta").textContent =
+    `npm package · imported by ${data.incomingCount} file${data.incomingCount === 1 ? "" : "s"}`;
+  tooltip.querySelector(".tt-exports").innerHTML = "";
+
+  tooltip.style.display = "block";
+  positionTooltip(event.clientX, event.clientY);
+}
+
 function hideTooltip() {
   tooltip.style.display = "none";
 }
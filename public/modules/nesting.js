@@ -0,0 +1,61 @@
+// Nested functions (inner helpers, callbacks, closures) carry the id of the
+// symbol they're declared in as `enclosing`. They stay folded into it until
+// it is expanded.
+
+/**
+ * The symbols and edges to draw when only the symbols in `expanded` are
+ * unfolded. A folded symbol's edges move to its nearest drawn ancestor, so
+ * a function still shows the calls its callbacks make. Drawn symbols that
+ * contain others get `nestedCount` and `expanded`.
+ */
+export function foldNested(symbols, edges, expanded) {
+  const byId = new Map(symbols.map((s) => [s.id, s]));
+  const drawnAs = new Map(); // symbol id -> id of the symbol it is drawn as
+  const nestedCounts = new Map();
+
+  function drawnId(sym) {
+    if (drawnAs.has(sym.id)) return drawnAs.get(sym.id);
+    const parent = sym.enclosing && byId.get(sym.enclosing);
+    let id = sym.id;
+    if (parent) {
+      const parentId = drawnId(parent);
+      if (parentId !== parent.id || !expanded.has(parent.id)) id = parentId;
+    }
+    drawnAs.set(sym.id, id);
+    return id;
+  }
+
+  for (const sym of symbols) {
+    drawnId(sym);
+    if (sym.enclosing && byId.has(sym.enclosing)) {
+      nestedCounts.set(sym.enclosing, (nestedCounts.get(sym.enclosing) || 0) + 1);
+    }
+  }
+
+  const drawnSymbols = symbols
+    .filter((s) => drawnAs.get(s.id) === s.id)
+    .map((s) => (nestedCounts.has(s.id) ? { ...s, nestedCount: nestedCounts.get(s.id), expanded: expanded.has(s.id) } : s));
+
+  const seen = new Set();
+  const drawnEdges = [];
+  for (const edge of edges) {
+    const source = drawnAs.get(edge.source) || edge.source;
+    const target = drawnAs.get(edge.target) || edge.target;
+    if (source === target) continue;
+    const key = `${source}|${target}|${edge.type}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+    const moved = source !== edge.source || target !== edge.target;
+    drawnEdges.push(moved ? { ...edge, source, target } : edge);
+  }
+
+  return { symbols: drawnSymbols, edges: drawnEdges };
+}
+
+// Expands every symbol `sym` is nested in, so it gets drawn
+export function revealNested(sym, symbols, expanded) {
+  const byId = new Map(symbols.map((s) => [s.id, s]));
+  for (let parent = byId.get(sym.enclosing); parent; parent = byId.get(parent.enclosing)) {
+    expanded.add(parent.id);
+  }
+}
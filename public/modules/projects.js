@@ -0,0 +1,49 @@
+import { fetchProjects, getCurrentProject, setCurrentProject } from "./api.js";
+import { escapeHtml } from "./html.js";
+
+const select = document.getElementById("project-select");
+
+export function initProjectSwitcher() {
+  select.addEventListener("change", () => switchProject(select.value));
+}
+
+/**
+ * Reloads the project list into the top-bar switcher. If no project is
+ * selected yet, the most recently analyzed one becomes current.
+ */
+export async function refreshProjectSwitcher() {
+  const projects = await fetchProjects();
+
+  if (!getCurrentProject() && projects.length > 0) {
+    const latest = projects.reduce((a, b) => (a.analyzedAt > b.analyzedAt ? a : b));
+    setCurrentProject(latest.id);
+  }
+
+  select.innerHTML = projects
+    .map((p) => `<option value="${escapeHtml(p.id)}" title="${escapeHtml(projectTitle(p))}">${escapeHtml(optionLabel(p))}</option>`)
+    .join("");
+  select.value = getCurrentProject() || "";
+  select.style.display = projects.length > 1 ? "block" : "none";
+  return projects;
+}
+
+// Make `projectId` current and tell the explorer and galaxy views to reload
+export function switchProject(projectId) {
+  setCurrentProject(projectId);
+  select.value = projectId;
+  window.dispatchEvent(new CustomEvent("projectChange", {
+    detail: { projectId },
+  }));
+}
+
+function optionLabel(project) {
+  return project.snapshot ? `${project.name} (snapshot)` : project.name;
+}
+
+// Root, plus where a loaded snapshot came from
+function projectTitle(project) {
+  const { snapshot } = project;
+  if (!snapshot) return project.root;
+  const commit = snapshot.gitSha ? ` at ${snapshot.gitSha.slice(0, 7)}` : "";
+  return `${project.root}\nSnapshot${commit}, saved ${new Date(snapshot.createdAt).toLocaleString()}`;
+}
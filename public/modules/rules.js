@@ -0,0 +1,67 @@
+import { fetchRuleViolations } from "./api.js";
+import { escapeHtml } from "./html.js";
+
+const group = document.getElementById("rule-group");
+const list = document.getElementById("rule-list");
+
+// Violations listed before the rest is summarized
+const MAX_ITEMS = 40;
+
+let revision = null;
+let markEdges = () => {};
+
+/**
+ * `onViolations(edgeKeys)` receives the "source|||target" keys of every
+ * edge that breaks a rule, to draw them red.
+ */
+export function initRules(onViolations) {
+  markEdges = onViolations;
+}
+
+// Fetch and list the rule violations of the working tree, or of `rev`
+export async function loadRuleViolations(rev = null) {
+  revision = rev;
+  let report;
+  try {
+    report = await fetchRuleViolations(rev);
+    if (revision !== rev) return; // superseded meanwhile
+  } catch (err) {
+    render(null, err.message);
+    return;
+  }
+  render(report);
+}
+
+// Hide violations, e.g. while comparing revisions
+export function clearRuleViolations() {
+  revision = null;
+  render(null);
+}
+
+function render(report, error = null) {
+  const violations = report?.violations || [];
+  group.style.display = report?.configFile || error ? "block" : "none";
+  document.getElementById("rule-count").textContent = error ? "!" : violations.length;
+  markEdges(violations.flatMap((v) => v.edges.map((e) => `${e.source}|||${e.target}`)));
+
+  if (error) {
+    list.innerHTML = `<div class="sidebar-note">${escapeHtml(error)}</div>`;
+    return;
+  }
+  if (!report?.configFile) {
+    list.innerHTML = "";
+    return;
+  }
+
+  const summary = `<div class="sidebar-note">${report.rules.length} rule${report.rules.length === 1 ? "" : "s"} in ${escapeHtml(report.configFile)}</div>`;
+  const items = violations.slice(0, MAX_ITEMS).map((v) =>
+    `<div class="rule-item" title="${escapeHtml(v.edges.map((e) => `${e.source} → ${e.target}`).join("\n"))}">
+      <div class="rule-name">${escapeHtml(v.rule)}</div>
+      <div class="rule-message">${escapeHtml(v.message)}</div>
+    </div>`,
+  ).join("");
+  const more = violations.length > MAX_ITEMS
+    ? `<div class="sidebar-note">+${violations.length - MAX_ITEMS} more</div>`
+    : "";
+  list.innerHTML = summary + items + more;
+}
@@ -1,3 +1,5 @@
+import { escapeHtml } from "./html.js";
+
 let allSymbols = [];
 let onSelectCallback = null;
 
@@ -39,8 +41,11 @@ function renderResults(matches) {
   activeIndex = -1;
   results.innerHTML = matches.slice(0, 20).map((sym, i) => {
     const typeClass = `type-${sym.type}`;
+    const diffMark = sym.diffStatus && sym.diffStatus !== "unchanged"
+      ? `<span class="diff-${sym.diffStatus}">${sym.diffStatus}</span>`
+      : "";
     return `<div class="search-item" data-index="${i}">
-      <span class="sym-type ${typeClass}">${sym.type}</span>
+      <span class="sym-type ${typeClass}">${sym.type}</span>${diffMark}
       <span class="sym-name">${escapeHtml(sym.name)}</span>
       <span class="sym-file">${sym.file}</span>
     </div>`;
@@ -60,10 +65,6 @@ function selectResult(sym) {
   if (onSelectCallback) onSelectCallback(sym);
 }
 
-function escapeHtml(str) {
-  return str.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
-}
-
 input.addEventListener("input", () => {
   const query = input.value.trim();
   if (query.length < 1) {
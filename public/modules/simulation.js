@@ -4,10 +4,12 @@ import { SIMULATION } from "./constants.js";
  * Force-directed graph simulation with folder clustering.
  * Nodes in the same folder attract toward their cluster centroid,
  * while different clusters repel each other, producing clean separated groups.
+ * In a monorepo, files of the same workspace package share one cluster.
  */
-export function createSimulation(nodes, edges, is3D) {
+export function createSimulation(nodes, edges, is3D, { warm = false } = {}) {
   const alpha = {
-    current: 1,
+    // A warm start only nudges nodes that kept their previous positions
+    current: warm ? SIMULATION.warmAlpha : 1,
     decay: SIMULATION.alphaDecay,
     min: SIMULATION.alphaMin,
   };
@@ -38,12 +40,16 @@ export function createSimulation(nodes, edges, is3D) {
   return { tick, reheat, alpha };
 }
 
+function clusterKey(node) {
+  return node.package || node.folder;
+}
+
 function buildFolderGroups(nodes) {
   const groups = {};
   for (let i = 0; i < nodes.length; i++) {
-    const folder = nodes[i].folder;
-    if (!groups[folder]) groups[folder] = [];
-    groups[folder].push(i);
+    const key = clusterKey(nodes[i]);
+    if (!groups[key]) groups[key] = [];
+    groups[key].push(i);
   }
   return groups;
 }
@@ -52,6 +58,8 @@ function buildFolderGroups(nodes) {
  * Initialize positions by placing each folder cluster at a distinct
  * spot on a large circle, with nodes scattered near their cluster center.
  * This gives the simulation a huge head start vs random placement.
+ * Nodes that already have a position (kept from a previous layout) stay
+ * put, and new nodes join their cluster's current centroid.
  */
 function initializePositions(nodes, folderGroups, is3D) {
   const folders = Object.keys(folderGroups);
@@ -59,16 +67,26 @@ function initializePositions(nodes, folderGroups, is3D) {
   const clusterRadius = Math.max(300, count * 30);
 
   for (let fi = 0; fi < count; fi++) {
-    const angle = (fi / count) * Math.PI * 2;
-    const cx = Math.cos(angle) * clusterRadius;
-    const cy = Math.sin(angle) * clusterRadius;
-    const cz = is3D ? (Math.random() - 0.5) * clusterRadius * 0.2 : 0;
-
     const indices = folderGroups[folders[fi]];
+    const placed = indices.filter((idx) => nodes[idx].x !== undefined);
+
+    let cx, cy, cz;
+    if (placed.length > 0) {
+      cx = placed.reduce((sum, idx) => sum + nodes[idx].x, 0) / placed.length;
+      cy = placed.reduce((sum, idx) => sum + nodes[idx].y, 0) / placed.length;
+      cz = placed.reduce((sum, idx) => sum + nodes[idx].z, 0) / placed.length;
+    } else {
+      const angle = (fi / count) * Math.PI * 2;
+      cx = Math.cos(angle) * clusterRadius;
+      cy = Math.sin(angle) * clusterRadius;
+      cz = is3D ? (Math.random() - 0.5) * clusterRadius * 0.2 : 0;
+    }
+
     const spread = Math.max(20, Math.sqrt(indices.length) * 12);
 
     for (const idx of indices) {
       const n = nodes[idx];
+      if (n.x !== undefined) continue;
       const a = Math.random() * Math.PI * 2;
       const r = Math.random() * spread;
       n.x = cx + Math.cos(a) * r;
@@ -201,8 +219,8 @@ function applyLinkAttraction(nodes, edges, k) {
     const dz = t.z - s.z;
     const d = Math.sqrt(dx * dx + dy * dy + dz * dz) || 1;
 
-    // Shorter ideal distance for same-folder links, longer for cross-folder
-    const idealDist = s.folder === t.folder
+    // Shorter ideal distance for same-cluster links, longer for cross-cluster
+    const idealDist = clusterKey(s) === clusterKey(t)
       ? SIMULATION.linkDistance * 0.6
       : SIMULATION.linkDistance * 1.5;
 
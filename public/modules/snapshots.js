@@ -0,0 +1,64 @@
+import { snapshotUrl, uploadSnapshot, isStaticExport, getCurrentProject } from "./api.js";
+import { refreshProjectSwitcher, switchProject } from "./projects.js";
+
+/**
+ * Wires up saving the current analysis as a snapshot file, and opening
+ * snapshot files dropped anywhere on the page as projects of their own.
+ */
+export function initSnapshots() {
+  if (isStaticExport()) return;
+
+  document.getElementById("snapshot-save").addEventListener("click", () => {
+    if (!getCurrentProject()) return;
+    window.location.href = snapshotUrl(); // served as an attachment
+  });
+
+  // dragleave also fires when moving between child elements; count them
+  let dragDepth = 0;
+  const carriesFiles = (e) => e.dataTransfer?.types.includes("Files");
+
+  window.addEventListener("dragenter", (e) => {
+    if (!carriesFiles(e)) return;
+    dragDepth++;
+    document.body.classList.add("dropping");
+  });
+  window.addEventListener("dragleave", (e) => {
+    if (!carriesFiles(e)) return;
+    dragDepth = Math.max(0, dragDepth - 1);
+    if (dragDepth === 0) document.body.classList.remove("dropping");
+  });
+  window.addEventListener("dragover", (e) => {
+    if (carriesFiles(e)) e.preventDefault(); // allow dropping
+  });
+  window.addEventListener("drop", (e) => {
+    if (!carriesFiles(e)) return;
+    e.preventDefault();
+    dragDepth = 0;
+    document.body.classList.remove("dropping");
+    const file = e.dataTransfer.files[0];
+    if (file) openSnapshot(file);
+  });
+}
+
+async function openSnapshot(file) {
+  const loading = document.getElementById("loading");
+  document.getElementById("loading-label").textContent = "Opening snapshot...";
+  loading.style.display = "block";
+  try {
+    const text = await file.text();
+    try {
+      JSON.parse(text);
+    } catch {
+      throw new Error(`${file.name} is not a code-visualizer snapshot`);
+    }
+    const project = await uploadSnapshot(text);
+
+    // Both views reload for the new project
+    await refreshProjectSwitcher();
+    switchProject(project.id);
+  } catch (err) {
+    alert("Error: " + err.message);
+  } finally {
+    loading.style.display = "none";
+  }
+}
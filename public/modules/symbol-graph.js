@@ -3,6 +3,8 @@ const TYPE_COLORS = {
   class: "#8b5cf6",
   variable: "#10b981",
   method: "#6366f1",
+  property: "#14b8a6",
+  module: "#e2e8f0",
   type: "#f59e0b",
   interface: "#f59e0b",
   enum: "#ec4899",
@@ -14,6 +16,8 @@ const TYPE_BADGES = {
   class: "C",
   variable: "var",
   method: "m",
+  property: "p",
+  module: "mod",
   type: "T",
   interface: "I",
   enum: "E",
@@ -23,9 +27,31 @@ const EDGE_TYPE_COLORS = {
   calls: "#06b6d4",
   imports: "#8b5cf6",
   extends: "#f59e0b",
+  implements: "#f97316",
   condition: "#f59e0b",
 };
 
+// Wire look per call-resolution confidence: type-checked edges solid and
+// bright, name-matched guesses dashed and faint
+const EDGE_CONFIDENCE_STYLES = {
+  exact: { alpha: 0.6, width: 2.5, dash: [] },
+  static: { alpha: 0.35, width: 2, dash: [] },
+  heuristic: { alpha: 0.25, width: 1.5, dash: [6, 5] },
+};
+
+// Outline colors while comparing revisions (see compare.js)
+const DIFF_STATUS_COLORS = {
+  added: "#22c55e",
+  removed: "#ef4444",
+  changed: "#f59e0b",
+};
+
+const DIFF_STATUS_MARKS = {
+  added: "+",
+  removed: "\u2212",
+  changed: "~",
+};
+
 const NODE_PAD_X = 24;
 const NODE_H = 56;
 const NODE_H_PARAMS = 70;
@@ -44,6 +70,7 @@ let layoutNodes = [];
 let layoutEdges = [];
 let hoveredNode = null;
 let onClickCallback = null;
+let onToggleCallback = null;
 let animFrame = null;
 let animRunning = false;
 let transform = { x: 0, y: 0, scale: 1 };
@@ -54,10 +81,16 @@ let lastMouse = { x: 0, y: 0 };
 let mouseDownPos = { x: 0, y: 0 };
 let measureCtx = null;
 
-export function initSymbolGraph(canvasEl, onClick) {
+/**
+ * `onClick(symbol)` fires for clicks on a node, `onToggleNested(symbol)`
+ * for clicks on the fold chip of a node with nested functions (see
+ * nesting.js).
+ */
+export function initSymbolGraph(canvasEl, onClick, onToggleNested) {
   canvas = canvasEl;
   ctx = canvas.getContext("2d");
   onClickCallback = onClick;
+  onToggleCallback = onToggleNested;
   const offscreen = document.createElement("canvas");
   measureCtx = offscreen.getContext("2d");
   resizeCanvas();
@@ -110,7 +143,8 @@ function getNodeH(node) {
 
 // ── Main render entry ──
 
-export function renderGraph(centerSymbol, allSymbols, allEdges) {
+// `keepView` skips re-fitting the viewport, for refreshes of the same symbol
+export function renderGraph(centerSymbol, allSymbols, allEdges, { keepView = false } = {}) {
   const symbolMap = new Map(allSymbols.map(s => [s.id, s]));
 
   // ── Step 1: BFS traversal (multi-level) ──
@@ -178,7 +212,7 @@ export function renderGraph(centerSymbol, allSymbols, allEdges) {
       nodeLayers.set(branchId, branchLayer);
 
       layoutEdges.push({ source: edge.source, target: branchId, type: "condition" });
-      layoutEdges.push({ source: branchId, target: edge.target, type: edge.type });
+      layoutEdges.push({ source: branchId, target: edge.target, type: edge.type, diffStatus: edge.diffStatus, confidence: edge.confidence });
     } else {
       layoutEdges.push(edge);
     }
@@ -316,7 +350,7 @@ export function renderGraph(centerSymbol, allSymbols, allEdges) {
   }
 
   // ── Step 7: Auto-fit to view ──
-  fitToView();
+  if (!keepView) fitToView();
 
   stopAnimLoop();
   startAnimLoop();
@@ -429,7 +463,7 @@ function drawGrid(w, h) {
 }
 
 function drawWire(src, tgt, edge, now, idx) {
-  const color = EDGE_TYPE_COLORS[edge.type] || "#444";
+  const color = DIFF_STATUS_COLORS[edge.diffStatus] || EDGE_TYPE_COLORS[edge.type] || "#444";
   const leftToRight = src.x + src.w / 2 < tgt.x + tgt.w / 2;
 
   let srcX, srcY, tgtX, tgtY;
@@ -459,13 +493,16 @@ function drawWire(src, tgt, edge, now, idx) {
   const cp2y = tgtY;
 
   // Wire
+  const style = EDGE_CONFIDENCE_STYLES[edge.confidence] || EDGE_CONFIDENCE_STYLES.static;
   ctx.beginPath();
   ctx.moveTo(srcX, srcY);
   ctx.bezierCurveTo(cp1x, cp1y, cp2x, cp2y, tgtX, tgtY);
   ctx.strokeStyle = color;
-  ctx.globalAlpha = 0.35;
-  ctx.lineWidth = 2;
+  ctx.globalAlpha = style.alpha;
+  ctx.lineWidth = style.width;
+  ctx.setLineDash(style.dash);
   ctx.stroke();
+  ctx.setLineDash([]);
   ctx.globalAlpha = 1;
 
   // Arrow at target
@@ -576,7 +613,7 @@ function drawBranchNode(node) {
 }
 
 function drawNode(node) {
-  const color = TYPE_COLORS[node.type] || "#888";
+  const color = DIFF_STATUS_COLORS[node.diffStatus] || TYPE_COLORS[node.type] || "#888";
   const isHovered = hoveredNode === node;
   const { x, y, w: nw, h: nh, isCenter } = node;
 
@@ -626,6 +663,35 @@ function drawNode(node) {
   ctx.textBaseline = "top";
   ctx.fillText(badge, badgeX + 5, badgeY + 3);
 
+  // Diff mark
+  const mark = DIFF_STATUS_MARKS[node.diffStatus];
+  if (mark) {
+    ctx.font = "bold 12px 'SF Mono', monospace";
+    ctx.fillStyle = color;
+    ctx.textAlign = "right";
+    ctx.fillText(mark, x + nw - 8, badgeY + 1);
+  }
+
+  // Fold chip for nested functions: "+N" while folded, "−" when expanded
+  if (node.nestedCount) {
+    const chip = node.expanded ? "\u2212" : `+${node.nestedCount}`;
+    ctx.font = "bold 9px 'SF Mono', monospace";
+    const chipW = ctx.measureText(chip).width + 10;
+    node.toggleRect = { x: x + nw - chipW - 6, y: y + nh - 20, w: chipW, h: 14 };
+    const r = node.toggleRect;
+    ctx.beginPath();
+    roundRect(ctx, r.x, r.y, r.w, r.h, 3);
+    ctx.strokeStyle = color;
+    ctx.globalAlpha = 0.6;
+    ctx.lineWidth = 1;
+    ctx.stroke();
+    ctx.globalAlpha = 1;
+    ctx.fillStyle = color;
+    ctx.textAlign = "center";
+    ctx.textBaseline = "middle";
+    ctx.fillText(chip, r.x + r.w / 2, r.y + r.h / 2 + 0.5);
+  }
+
   // Name
   const paramsStr = formatParams(node.params);
   const nameY = paramsStr ? y + nh / 2 - 3 : y + nh / 2 + 2;
@@ -772,6 +838,14 @@ function onCanvasClick(e) {
   if (dx * dx + dy * dy > 25) return;
 
   const node = getNodeAt(mx, my);
+  if (node?.toggleRect && onToggleCallback) {
+    const { x, y } = screenToWorld(mx, my);
+    const r = node.toggleRect;
+    if (x >= r.x && x <= r.x + r.w && y >= r.y && y <= r.y + r.h) {
+      onToggleCallback(node);
+      return;
+    }
+  }
   if (node && !node.isCenter && !node._isBranch && onClickCallback) {
     onClickCallback(node);
   }
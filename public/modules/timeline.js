@@ -0,0 +1,99 @@
+import { fetchRevisions } from "./api.js";
+
+// Pause between revisions while playing, after each one has loaded
+const PLAY_STEP_MS = 1200;
+
+const timeline = document.getElementById("timeline");
+const slider = document.getElementById("timeline-slider");
+const label = document.getElementById("timeline-label");
+const playBtn = document.getElementById("timeline-play");
+
+let revisions = []; // oldest first; the slider's last stop is the working tree
+let currentRevision = null;
+let playing = false;
+let playRun = 0; // identifies the latest play() loop, so a restarted one replaces it
+let onChange = null;
+
+export function getTimelineRevision() { return currentRevision; }
+
+/**
+ * Wires up the timeline bar. `onRevisionChange(sha)` is awaited whenever
+ * another revision is picked; `sha` is null for the working tree. Other
+ * views follow along through the "revisionChange" event.
+ */
+export function initTimeline(onRevisionChange) {
+  onChange = onRevisionChange;
+
+  slider.addEventListener("input", () => updateLabel());
+  slider.addEventListener("change", () => {
+    stopPlaying();
+    selectIndex(parseInt(slider.value));
+  });
+  playBtn.addEventListener("click", () => (playing ? stopPlaying() : play()));
+}
+
+// Loads the current project's commits and resets to the working tree
+export async function loadTimeline() {
+  stopPlaying();
+  revisions = (await fetchRevisions()).reverse();
+  currentRevision = null;
+
+  timeline.style.display = revisions.length > 0 ? "flex" : "none";
+  slider.max = revisions.length;
+  slider.value = revisions.length;
+  updateLabel();
+}
+
+async function selectIndex(index) {
+  const sha = index < revisions.length ? revisions[index].sha : null;
+  if (sha === currentRevision) return;
+  currentRevision = sha;
+  window.dispatchEvent(new CustomEvent("revisionChange", { detail: { sha } }));
+  timeline.classList.add("loading");
+  try {
+    await onChange(sha);
+  } catch (err) {
+    stopPlaying();
+    alert("Error: " + err.message);
+  } finally {
+    timeline.classList.remove("loading");
+  }
+}
+
+// Steps forward one commit at a time, starting over from the oldest
+// commit when already at the working tree
+async function play() {
+  const run = ++playRun;
+  playing = true;
+  playBtn.textContent = "\u275A\u275A";
+  if (parseInt(slider.value) >= revisions.length) slider.value = 0;
+
+  const active = () => playing && run === playRun;
+  while (active()) {
+    const index = parseInt(slider.value);
+    updateLabel();
+    await selectIndex(index);
+    if (!active() || index >= revisions.length) break;
+    await new Promise((resolve) => setTimeout(resolve, PLAY_STEP_MS));
+    if (active()) slider.value = index + 1;
+  }
+  if (run === playRun) stopPlaying();
+}
+
+function stopPlaying() {
+  playing = false;
+  playBtn.textContent = "\u25B6";
+}
+
+function updateLabel() {
+  const index = parseInt(slider.value);
+  const rev = revisions[index];
+  if (!rev) {
+    label.textContent = "Working tree";
+    label.title = "";
+    return;
+  }
+  const date = new Date(rev.date).toLocaleDateString();
+  label.textContent = `${rev.sha.slice(0, 7)} · ${date} · ${rev.subject}`;
+  label.title = `${rev.sha}\n${rev.author}`;
+}
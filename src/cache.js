@@ -0,0 +1,99 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const crypto = require("crypto");
+
+const CACHE_DIR =
+  process.env.CODE_VISUALIZER_CACHE_DIR || path.join(os.homedir(), ".cache", "code-visualizer");
+
+// One store per analyzed root, kept in memory between analyses in the same process
+const stores = new Map();
+
+// Versions of one file kept, most recently used first: enough for a work
+// tree and the revisions compared against it
+const MAX_VERSIONS_PER_FILE = 4;
+
+// Versions not used for this long are dropped when the cache is saved. Age
+// rather than presence in rootDir: files of other revisions share the cache.
+const MAX_UNUSED_MS = 30 * 24 * 60 * 60 * 1000;
+
+// Bumped when the layout of a cache file changes
+const CACHE_FORMAT = 3;
+
+function hashContent(content) {
+  return crypto.createHash("sha1").update(content).digest("hex");
+}
+
+/**
+ * Per-file parse results for one codebase, keyed by file path and content
+ * hash and persisted as JSON under CACHE_DIR so they survive restarts.
+ * A few versions of each file are kept, so checkouts of past revisions
+ * (analyzed elsewhere but cached under their project's rootDir) share
+ * the records of the files they have in common with it.
+ * `fingerprint` identifies the extraction code; a different fingerprint
+ * discards everything cached by an older parser.
+ */
+function getParseCache(rootDir, fingerprint) {
+  let store = stores.get(rootDir);
+  if (!store || store.fingerprint !== fingerprint) {
+    store = loadStore(rootDir, fingerprint);
+    stores.set(rootDir, store);
+  }
+
+  function get(relFile, hash) {
+    const versions = store.entries[relFile];
+    const index = versions ? versions.findIndex((v) => v.hash === hash) : -1;
+    if (index === -1) return null;
+    // Not worth a write on its own; order and age are saved with the next change
+    if (index > 0) versions.unshift(...versions.splice(index, 1));
+    versions[0].usedAt = Date.now();
+    return versions[0].record;
+  }
+
+  function set(relFile, hash, record) {
+    const versions = (store.entries[relFile] || []).filter((v) => v.hash !== hash);
+    store.entries[relFile] = [{ hash, record, usedAt: Date.now() }, ...versions].slice(0, MAX_VERSIONS_PER_FILE);
+    store.dirty = true;
+  }
+
+  function save() {
+    if (!store.dirty) return;
+
+    const cutoff = Date.now() - MAX_UNUSED_MS;
+    for (const [relFile, versions] of Object.entries(store.entries)) {
+      const recent = versions.filter((v) => v.usedAt >= cutoff);
+      if (recent.length > 0) store.entries[relFile] = recent;
+      else delete store.entries[relFile];
+    }
+
+    try {
+      fs.mkdirSync(CACHE_DIR, { recursive: true });
+      const tmp = `${store.file}.${process.pid}.tmp`;
+      fs.writeFileSync(tmp, JSON.stringify({ format: CACHE_FORMAT, rootDir, fingerprint, entries: store.entries }));
+      fs.renameSync(tmp, store.file);
+      store.dirty = false;
+    } catch (err) {
+      console.warn(`Could not write parse cache ${store.file}: ${err.message}`);
+    }
+  }
+
+  return { get, set, save };
+}
+
+function loadStore(rootDir, fingerprint) {
+  const file = path.join(CACHE_DIR, `${hashContent(rootDir)}.json`);
+  const store = { file, fingerprint, entries: {}, dirty: false };
+
+  try {
+    const data = JSON.parse(fs.readFileSync(file, "utf-8"));
+    if (data.format === CACHE_FORMAT && data.fingerprint === fingerprint && data.rootDir === rootDir) {
+      store.entries = data.entries || {};
+    }
+  } catch {
+    /* no cache yet, or unreadable — start fresh */
+  }
+
+  return store;
+}
+
+module.exports = { getParseCache, hashContent, CACHE_DIR };
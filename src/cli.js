@@ -0,0 +1,238 @@
+#!/usr/bin/env node
+const fs = require("fs");
+const path = require("path");
+const { analyzeCodebase, analyzeSymbols } = require("./parser");
+const { formatGraph, FORMATS, FORMAT_EXTENSIONS } = require("./formats");
+const { exportSite } = require("./export");
+
+const DEFAULT_SITE_DIR = "code-visualizer-site";
+
+const USAGE = `Usage: code-visualizer <command> [dir] [options]
+
+Commands:
+  graph      file dependency graph
+  symbols    functions, classes and the calls between them
+  cycles     import cycles
+  stats      summary counts (json or csv)
+  export     static HTML site of the whole visualization, to the --out
+             folder (default: ${DEFAULT_SITE_DIR}). It needs no server, but
+             loads three.js and highlight.js from their CDNs: viewing it
+             takes a network connection
+
+Options:
+  --format <format>   ${FORMATS.join(", ")} (default: from --out's extension, else json)
+  --out <file>        write to a file instead of stdout
+  --include <glob>    only analyze matching files; repeatable or comma-separated
+  --exclude <glob>    skip matching files; repeatable or comma-separated
+  --externals         add a node per npm package to the file graph
+  --type-aware        resolve calls with the TypeScript type checker
+  --help              show this message`;
+
+const VALUE_OPTIONS = ["format", "out", "include", "exclude"];
+const FLAG_OPTIONS = ["externals", "type-aware", "help"];
+
+// Thrown for bad command lines; reported with the usage text
+class UsageError extends Error {}
+
+function parseArgs(argv) {
+  const args = { positional: [], include: [], exclude: [], flags: new Set() };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith("--")) {
+      args.positional.push(arg);
+      continue;
+    }
+
+    const eq = arg.indexOf("=");
+    const name = arg.slice(2, eq === -1 ? undefined : eq);
+    if (FLAG_OPTIONS.includes(name)) {
+      args.flags.add(name);
+    } else if (VALUE_OPTIONS.includes(name)) {
+      const value = eq === -1 ? argv[++i] : arg.slice(eq + 1);
+      if (value === undefined || value === "") throw new UsageError(`--${name} needs a value`);
+      if (name === "include" || name === "exclude") {
+        args[name].push(...value.split(",").map((p) => p.trim()).filter(Boolean));
+      } else {
+        args[name] = value;
+      }
+    } else {
+      throw new UsageError(`Unknown option: ${arg}`);
+    }
+  }
+  return args;
+}
+
+// ─── Commands ─────────────────────────────────────────────────────
+
+// Each command analyzes `root` and returns `{ json, graph }`: the data to
+// write as JSON, and the same as an exportable graph (see formats.js), or
+// a `table` of rows for commands that aren't graphs
+const COMMANDS = {
+  async graph(root, options) {
+    const graph = await analyzeCodebase(root, options);
+    return { json: graph, graph: fileGraph("files", graph.nodes, graph.edges) };
+  },
+
+  async symbols(root, options) {
+    const symbols = await analyzeSymbols(root, options);
+    return { json: symbols, graph: symbolGraph(symbols) };
+  },
+
+  async cycles(root, options) {
+    const graph = await analyzeCodebase(root, { ...options, history: false });
+    const members = new Set(graph.cycles.flatMap((c) => c.files));
+    const nodes = graph.nodes.filter((n) => members.has(n.id));
+    const edges = graph.edges.filter((e) => e.cycle !== undefined);
+    return { json: graph.cycles, graph: fileGraph("cycles", nodes, edges) };
+  },
+
+  async stats(root, options) {
+    const graph = await analyzeCodebase(root, { ...options, history: false });
+    const symbols = await analyzeSymbols(root, options);
+    const files = graph.nodes.filter((n) => !n.external);
+    const stats = {
+      files: files.length,
+      lines: files.reduce((sum, n) => sum + n.lines, 0),
+      edges: graph.edges.length,
+      edgesByKind: countBy(graph.edges, (e) => e.kind),
+      packages: graph.nodes.length - files.length,
+      cycles: graph.cycles.length,
+      filesInCycles: new Set(graph.cycles.flatMap((c) => c.files)).size,
+      parseErrors: graph.parseErrors.length,
+      symbols: symbols.symbols.length,
+      symbolsByType: countBy(symbols.symbols, (s) => s.type),
+      symbolEdges: symbols.edges.length,
+      symbolEdgesByType: countBy(symbols.edges, (e) => e.type),
+    };
+    return { json: stats, table: statsTable(stats) };
+  },
+};
+
+function fileGraph(name, nodes, edges) {
+  return {
+    name,
+    nodes: nodes.map((n) => ({
+      id: n.id,
+      label: n.external ? n.name : n.id,
+      attributes: n.external
+        ? { external: true, version: n.version || n.range }
+        : { folder: n.folder, lines: n.lines },
+    })),
+    edges: edges.map((e) => ({
+      source: e.source,
+      target: e.target,
+      label: e.kind,
+      attributes: { kind: e.kind, weight: e.weight, cycle: e.cycle },
+    })),
+  };
+}
+
+function symbolGraph(symbols) {
+  return {
+    name: "symbols",
+    nodes: symbols.symbols.map((s) => ({
+      id: s.id,
+      label: s.name,
+      attributes: { file: s.file, type: s.type, line: s.startLine },
+    })),
+    edges: symbols.edges.map((e) => ({
+      source: e.source,
+      target: e.target,
+      label: e.type,
+      attributes: { type: e.type, confidence: e.confidence },
+    })),
+  };
+}
+
+function countBy(items, keyOf) {
+  const counts = {};
+  for (const item of items) counts[keyOf(item)] = (counts[keyOf(item)] || 0) + 1;
+  return counts;
+}
+
+// `edgesByKind: { import: 3 }` becomes the row ["edgesByKind.import", 3]
+function statsTable(stats) {
+  const rows = [["metric", "value"]];
+  for (const [key, value] of Object.entries(stats)) {
+    if (value && typeof value === "object") {
+      for (const [sub, count] of Object.entries(value)) rows.push([`${key}.${sub}`, count]);
+    } else {
+      rows.push([key, value]);
+    }
+  }
+  return rows;
+}
+
+// ─── Output ───────────────────────────────────────────────────────
+
+// Commands whose result is a table rather than a graph
+const TABLE_COMMANDS = ["stats"];
+
+function render(result, format) {
+  if (format === "json") return JSON.stringify(result.json, null, 2) + "\n";
+  if (result.graph) return formatGraph(result.graph, format);
+  return result.table.map((row) => row.join(",")).join("\n") + "\n";
+}
+
+function pickFormat(args) {
+  const format = args.format || FORMAT_EXTENSIONS[path.extname(args.out || "").toLowerCase()] || "json";
+  if (!FORMATS.includes(format)) {
+    throw new UsageError(`Unknown format: ${format} (expected one of ${FORMATS.join(", ")})`);
+  }
+  return format;
+}
+
+async function main(argv) {
+  const args = parseArgs(argv);
+  if (args.flags.has("help")) {
+    console.log(USAGE);
+    return;
+  }
+
+  const [command, dir = "."] = args.positional;
+  if (!command) throw new UsageError("Missing command");
+  if (!Object.hasOwn(COMMANDS, command) && command !== "export") throw new UsageError(`Unknown command: ${command}`);
+  if (args.positional.length > 2) throw new UsageError(`Unexpected argument: ${args.positional[2]}`);
+  const root = path.resolve(dir);
+  const options = {
+    include: args.include,
+    exclude: args.exclude,
+    externals: args.flags.has("externals"),
+    typeAware: args.flags.has("type-aware"),
+  };
+  if (command === "export") return exportCommand(root, args, options);
+
+  const format = pickFormat(args);
+  if (TABLE_COMMANDS.includes(command) && format !== "json" && format !== "csv") {
+    throw new UsageError(`${command} can only be written as json or csv`);
+  }
+
+  console.error(`Analyzing ${root}`);
+  const output = render(await COMMANDS[command](root, options), format);
+
+  if (args.out) {
+    fs.writeFileSync(path.resolve(args.out), output);
+    console.error(`Wrote ${command} (${format}) to ${args.out}`);
+  } else {
+    process.stdout.write(output);
+  }
+}
+
+// `export` writes a folder rather than one serialized result
+async function exportCommand(root, args, options) {
+  if (args.format) throw new UsageError("export takes no --format");
+  const outDir = path.resolve(args.out || DEFAULT_SITE_DIR);
+  console.error(`Analyzing ${root}`);
+  const { graph, symbols } = await exportSite(root, outDir, options);
+  console.error(`Wrote ${graph.nodes.length} files and ${symbols.symbols.length} symbols to ${path.join(outDir, "index.html")}`);
+  console.error("Note: the page loads three.js and highlight.js from their CDNs, so it doesn't work offline");
+}
+
+main(process.argv.slice(2)).catch((err) => {
+  if (err instanceof UsageError) {
+    console.error(`${err.message}\n\n${USAGE}`);
+    process.exit(2);
+  }
+  console.error(err.message);
+  process.exit(1);
+});
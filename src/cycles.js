@@ -0,0 +1,131 @@
+const { hashContent } = require("./cache");
+
+/**
+ * Finds import cycles in a directed graph given as a Map of
+ * file -> Set of files it imports. Returns one entry per strongly
+ * connected component that contains a cycle:
+ *   { id, files, paths }
+ * `files` are the component's members (sorted) and `paths` its minimal
+ * cycles, each an ordered list of files where the last imports the first.
+ * `id` is derived from the members, so a cycle keeps it while other
+ * cycles come and go.
+ */
+function findCycles(adjacency) {
+  const components = stronglyConnectedComponents(adjacency).filter(
+    (files) => files.length > 1 || adjacency.get(files[0])?.has(files[0]),
+  );
+
+  return components
+    .map((files) => ({ files: [...files].sort(), paths: minimalCycles(files, adjacency) }))
+    .sort((a, b) => b.files.length - a.files.length || a.files[0].localeCompare(b.files[0]))
+    .map((component) => ({ id: cycleId(component.files), ...component }));
+}
+
+function cycleId(files) {
+  return hashContent(files.join("\n")).slice(0, 12);
+}
+
+// Tarjan's algorithm, iterative so deep import chains can't overflow the stack
+function stronglyConnectedComponents(adjacency) {
+  const index = new Map();
+  const lowLink = new Map();
+  const onStack = new Set();
+  const stack = [];
+  const components = [];
+  let counter = 0;
+
+  for (const start of adjacency.keys()) {
+    if (index.has(start)) continue;
+
+    const work = [{ node: start, neighbors: [...(adjacency.get(start) || [])], next: 0 }];
+    index.set(start, counter);
+    lowLink.set(start, counter++);
+    stack.push(start);
+    onStack.add(start);
+
+    while (work.length > 0) {
+      const frame = work[work.length - 1];
+
+      if (frame.next < frame.neighbors.length) {
+        const neighbor = frame.neighbors[frame.next++];
+        if (!index.has(neighbor)) {
+          index.set(neighbor, counter);
+          lowLink.set(neighbor, counter++);
+          stack.push(neighbor);
+          onStack.add(neighbor);
+          work.push({ node: neighbor, neighbors: [...(adjacency.get(neighbor) || [])], next: 0 });
+        } else if (onStack.has(neighbor)) {
+          lowLink.set(frame.node, Math.min(lowLink.get(frame.node), index.get(neighbor)));
+        }
+        continue;
+      }
+
+      // All neighbors done: pop the frame and close the component if it's a root
+      work.pop();
+      if (work.length > 0) {
+        const parent = work[work.length - 1].node;
+        lowLink.set(parent, Math.min(lowLink.get(parent), lowLink.get(frame.node)));
+      }
+      if (lowLink.get(frame.node) === index.get(frame.node)) {
+        const component = [];
+        let member;
+        do {
+          member = stack.pop();
+          onStack.delete(member);
+          component.push(member);
+        } while (member !== frame.node);
+        components.push(component);
+      }
+    }
+  }
+
+  return components;
+}
+
+// The shortest cycle through each member of a component (found by BFS
+// within the component), without duplicates
+function minimalCycles(files, adjacency) {
+  const members = new Set(files);
+  const seen = new Set();
+  const cycles = [];
+
+  for (const start of [...files].sort()) {
+    const cycle = shortestCycleThrough(start, members, adjacency);
+    if (!cycle) continue;
+
+    const key = canonicalKey(cycle);
+    if (seen.has(key)) continue;
+    seen.add(key);
+    cycles.push(cycle);
+  }
+
+  return cycles.sort((a, b) => a.length - b.length);
+}
+
+function shortestCycleThrough(start, members, adjacency) {
+  const previous = new Map([[start, null]]);
+  const queue = [start];
+
+  for (let i = 0; i < queue.length; i++) {
+    const node = queue[i];
+    for (const neighbor of adjacency.get(node) || []) {
+      if (neighbor === start) {
+        const path = [];
+        for (let n = node; n !== null; n = previous.get(n)) path.unshift(n);
+        return path;
+      }
+      if (!members.has(neighbor) || previous.has(neighbor)) continue;
+      previous.set(neighbor, node);
+      queue.push(neighbor);
+    }
+  }
+  return null;
+}
+
+// Same cycle regardless of which member it starts from
+function canonicalKey(cycle) {
+  const first = cycle.indexOf([...cycle].sort()[0]);
+  return [...cycle.slice(first), ...cycle.slice(0, first)].join("\n");
+}
+
+module.exports = { findCycles };
@@ -0,0 +1,95 @@
+const { minimatch } = require("minimatch");
+
+// Symbol types that only run when something calls them
+const CALLABLE_TYPES = ["function", "method"];
+
+/**
+ * Files a dead code report starts from, with where they came from:
+ * files matching `patterns` (globs relative to the project root) when any
+ * are given, else the entry points analyzeCodebase found, else every file
+ * nothing imports. Patterns are matched against the graph's files, not the
+ * disk, so they work for revisions and loaded snapshots too. Returns
+ * `{ files, source: "patterns" | "detected" | "roots" }`.
+ */
+function resolveEntryPoints(graph, patterns = []) {
+  const fileIds = new Set(graph.nodes.filter((n) => !n.external).map((n) => n.id));
+
+  if (patterns.length > 0) {
+    const globs = patterns.map((pattern) => pattern.replace(/^\.\//, ""));
+    const matches = [...fileIds].filter((f) => globs.some((pattern) => minimatch(f, pattern)));
+    return { files: matches.sort(), source: "patterns" };
+  }
+
+  const detected = (graph.entryPoints || []).filter((f) => fileIds.has(f));
+  if (detected.length > 0) return { files: detected, source: "detected" };
+
+  const imported = new Set(graph.edges.map((e) => e.target));
+  return { files: [...fileIds].filter((f) => !imported.has(f)).sort(), source: "roots" };
+}
+
+/**
+ * Dead code in an analysis (`graph` from analyzeCodebase, `symbols` from
+ * analyzeSymbols) as seen from the `entryPoints` files:
+ *   unusedExports    — { file, name, type }: no other file imports it
+ *   uncalledSymbols  — { id, file, name, type, line }: functions and
+ *                      methods nothing calls or passes around
+ *   unreachableFiles — files no entry point reaches through imports
+ * Exports of entry points are their public API and never count as unused.
+ */
+function findDeadCode(graph, symbols, entryPoints) {
+  const entries = new Set(entryPoints);
+  const files = graph.nodes.filter((n) => !n.external);
+
+  const unusedExports = [];
+  const unusedByFile = new Map();
+  for (const node of files) {
+    if (!node.unusedExports || entries.has(node.id)) continue;
+    unusedByFile.set(node.id, new Set(node.unusedExports));
+    for (const name of node.unusedExports) {
+      const exp = node.exports.find((e) => e.name === name);
+      unusedExports.push({ file: node.id, name, type: exp?.type || "export" });
+    }
+  }
+
+  const called = new Set(symbols.edges.filter((e) => e.source !== e.target).map((e) => e.target));
+  const typeById = new Map(symbols.symbols.map((s) => [s.id, s.type]));
+  const uncalledSymbols = symbols.symbols
+    .filter((sym) => {
+      if (!CALLABLE_TYPES.includes(sym.type) || called.has(sym.id)) return false;
+      // Object literal methods run through whatever holds the object
+      if (sym.type === "method" && typeById.get(sym.parent) !== "class") return false;
+      // Passed around by name, or run by the language itself
+      if (sym.referenced || sym.accessors || sym.name.includes("<") || sym.name.endsWith(".constructor")) return false;
+      // Exported and imported elsewhere (or public API of an entry point)
+      if (sym.exported && !unusedByFile.get(sym.file)?.has(sym.name)) return false;
+      return true;
+    })
+    .map((sym) => ({ id: sym.id, file: sym.file, name: sym.name, type: sym.type, line: sym.startLine }));
+
+  const reached = reachableFrom(entryPoints, graph.edges);
+  const unreachableFiles = files.map((n) => n.id).filter((id) => !reached.has(id)).sort();
+
+  return { entryPoints: [...entryPoints], unusedExports, uncalledSymbols, unreachableFiles };
+}
+
+// Every file reachable from `starts` along edges of any kind
+function reachableFrom(starts, edges) {
+  const adjacency = new Map();
+  for (const edge of edges) {
+    if (!adjacency.has(edge.source)) adjacency.set(edge.source, []);
+    adjacency.get(edge.source).push(edge.target);
+  }
+
+  const reached = new Set(starts);
+  const queue = [...starts];
+  for (let i = 0; i < queue.length; i++) {
+    for (const next of adjacency.get(queue[i]) || []) {
+      if (reached.has(next)) continue;
+      reached.add(next);
+      queue.push(next);
+    }
+  }
+  return reached;
+}
+
+module.exports = { findDeadCode, resolveEntryPoints };
@@ -0,0 +1,193 @@
+// Stable keys for the items of each collection, shared with public/modules/diff.js
+const nodeKey = (n) => n.id;
+const fileEdgeKey = (e) => `${e.source}|||${e.target}`;
+const symbolEdgeKey = (e) => `${e.source}|${e.target}|${e.type}`;
+
+/**
+ * Compares two lists of items by key. Returns the items only in `next`,
+ * the keys only in `prev`, and the items present in both whose contents
+ * changed.
+ */
+function diffCollections(prev, next, keyFn) {
+  const prevByKey = new Map(prev.map((item) => [keyFn(item), item]));
+  const added = [];
+  const updated = [];
+
+  for (const item of next) {
+    const key = keyFn(item);
+    const before = prevByKey.get(key);
+    if (!before) {
+      added.push(item);
+    } else {
+      if (JSON.stringify(before) !== JSON.stringify(item)) updated.push(item);
+      prevByKey.delete(key);
+    }
+  }
+
+  return { added, removed: [...prevByKey.keys()], updated };
+}
+
+function isEmptyDiff(diff) {
+  return Object.values(diff)
+    .filter((part) => part && part.added)
+    .every((part) => part.added.length === 0 && part.removed.length === 0 && part.updated.length === 0);
+}
+
+// Changes between two analyzeCodebase results
+function diffGraphs(prev, next) {
+  return {
+    nodes: diffCollections(prev.nodes, next.nodes, nodeKey),
+    edges: diffCollections(prev.edges, next.edges, fileEdgeKey),
+    folders: next.folders,
+    extensions: next.extensions,
+    packages: next.packages,
+    cycles: next.cycles,
+    entryPoints: next.entryPoints,
+    parseErrors: next.parseErrors,
+    history: next.history,
+  };
+}
+
+// Changes between two analyzeSymbols results
+function diffSymbols(prev, next) {
+  return {
+    symbols: diffCollections(prev.symbols, next.symbols, nodeKey),
+    edges: diffCollections(prev.edges, next.edges, symbolEdgeKey),
+    files: next.files,
+  };
+}
+
+// ─── Comparing two analyses ───────────────────────────────────────
+
+/**
+ * The union of `base` and `head`, each item copied with a `diffStatus` of
+ * "added", "removed", "changed" or "unchanged". `comparable` picks the
+ * fields that count as a change.
+ */
+function mergeCollections(base, head, keyFn, comparable) {
+  const { added, removed, updated } = diffCollections(base.map(comparable), head.map(comparable), keyFn);
+  const addedKeys = new Set(added.map(keyFn));
+  const changedKeys = new Set(updated.map(keyFn));
+  const removedKeys = new Set(removed);
+
+  const merged = head.map((item) => {
+    const key = keyFn(item);
+    const diffStatus = addedKeys.has(key) ? "added" : changedKeys.has(key) ? "changed" : "unchanged";
+    return { ...item, diffStatus };
+  });
+  for (const item of base) {
+    if (removedKeys.has(keyFn(item))) merged.push({ ...item, diffStatus: "removed" });
+  }
+  return merged;
+}
+
+function countStatuses(items) {
+  const counts = { added: 0, removed: 0, changed: 0 };
+  for (const item of items) {
+    if (item.diffStatus in counts) counts[item.diffStatus]++;
+  }
+  return counts;
+}
+
+// Fields computed from other files (or from git) can differ without the
+// file itself changing, so they don't count: history, reference counts,
+// which exports others use, barrel marks, npm dependency counts and cycle
+// membership (cycles are compared on their own, see compareCycles)
+const NODE_DERIVED_FIELDS = ["history", "incomingCount", "unusedExports", "barrel", "dependencyCount", "cycle"];
+// For edges: the files a barrel forwards to, the reference counts and cycles
+const EDGE_DERIVED_FIELDS = ["providers", "weight", "references", "cycle"];
+
+function omitFields(item, fields) {
+  const copy = { ...item };
+  for (const field of fields) delete copy[field];
+  return copy;
+}
+
+const comparableNode = (node) => omitFields(node, NODE_DERIVED_FIELDS);
+const comparableEdge = (edge) => omitFields(edge, EDGE_DERIVED_FIELDS);
+// Symbols shift lines whenever code above them changes
+const comparableSymbol = ({ startLine, endLine, ...symbol }) => symbol;
+
+/**
+ * Compares two analyzeCodebase results. Returns a graph with the nodes and
+ * edges of both, marked with `diffStatus`; changed files also list the
+ * exports they gained and lost in `exportChanges`.
+ */
+function compareGraphs(base, head) {
+  const nodes = mergeCollections(base.nodes, head.nodes, nodeKey, comparableNode);
+  const edges = mergeCollections(base.edges, head.edges, fileEdgeKey, comparableEdge);
+
+  const baseNodes = new Map(base.nodes.map((n) => [n.id, n]));
+  for (const node of nodes) {
+    if (node.diffStatus !== "changed") continue;
+    const before = new Set(baseNodes.get(node.id).exports.map((e) => e.name));
+    const after = new Set(node.exports.map((e) => e.name));
+    node.exportChanges = {
+      added: [...after].filter((name) => !before.has(name)),
+      removed: [...before].filter((name) => !after.has(name)),
+    };
+  }
+
+  // Cycle ids refer to head's components, so removed items can't keep theirs
+  for (const item of [...nodes, ...edges]) {
+    if (item.diffStatus === "removed") delete item.cycle;
+  }
+
+  const union = (key) => [...new Set([...(base[key] || []), ...(head[key] || [])])].sort();
+  return {
+    nodes,
+    edges,
+    folders: union("folders"),
+    extensions: union("extensions"),
+    packages: union("packages"),
+    cycles: compareCycles(base.cycles || [], head.cycles || []),
+    summary: {
+      files: countStatuses(nodes),
+      edges: countStatuses(edges),
+      cycles: countCycleChanges(base.cycles || [], head.cycles || []),
+    },
+  };
+}
+
+const cycleKey = (cyclePath) => [...cyclePath].sort().join("\n");
+
+// Head's import cycles, "added" when one of their minimal cycles is new
+function compareCycles(base, head) {
+  const known = new Set(base.flatMap((c) => c.paths.map(cycleKey)));
+  return head.map((c) => ({
+    ...c,
+    diffStatus: c.paths.some((p) => !known.has(cycleKey(p))) ? "added" : "unchanged",
+  }));
+}
+
+function countCycleChanges(base, head) {
+  const before = new Set(base.flatMap((c) => c.paths.map(cycleKey)));
+  const after = new Set(head.flatMap((c) => c.paths.map(cycleKey)));
+  return {
+    added: [...after].filter((key) => !before.has(key)).length,
+    removed: [...before].filter((key) => !after.has(key)).length,
+  };
+}
+
+// Compares two analyzeSymbols results the same way
+function compareSymbols(base, head) {
+  const symbols = mergeCollections(base.symbols, head.symbols, nodeKey, comparableSymbol);
+  const edges = mergeCollections(base.edges, head.edges, symbolEdgeKey, (e) => e);
+  return {
+    symbols,
+    edges,
+    files: [...new Set([...base.files, ...head.files])].sort(),
+    summary: { symbols: countStatuses(symbols), edges: countStatuses(edges) },
+  };
+}
+
+module.exports = {
+  diffCollections,
+  diffGraphs,
+  diffSymbols,
+  isEmptyDiff,
+  compareGraphs,
+  compareSymbols,
+  fileEdgeKey,
+  symbolEdgeKey,
+};
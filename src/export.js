@@ -0,0 +1,154 @@
+const fs = require("fs");
+const path = require("path");
+const babelParser = require("@babel/parser");
+const traverse = require("@babel/traverse").default;
+const { analyzeCodebase, analyzeSymbols } = require("./parser");
+const { findDeadCode, resolveEntryPoints } = require("./dead-code");
+const { loadRules, checkRules } = require("./rules");
+const { readSources } = require("./snapshots");
+
+const PUBLIC_DIR = path.join(__dirname, "..", "public");
+const ENTRY_MODULE = "explorer.js";
+
+// Import map prefix the exported modules are registered under
+const MODULE_PREFIX = "code-visualizer/";
+
+// Global the data bundle is assigned to; public/modules/api.js reads it
+const DATA_GLOBAL = "CODE_VISUALIZER_EXPORT";
+
+/**
+ * Writes a static site of the whole visualization of `rootDir` to
+ * `outDir`: index.html, modules.js (the front-end modules) and data.js
+ * (the analysis plus the source of every file). It needs no server, so
+ * it can be opened from file:// or published on any static host. It is
+ * not fully self-contained, though: three.js and highlight.js still come
+ * from their CDNs (see the import map in index.html), so it doesn't work
+ * offline.
+ * `options` go to analyzeCodebase and analyzeSymbols; `entryPoints` are
+ * globs for the dead code report, as for /api/dead-code.
+ */
+async function exportSite(rootDir, outDir, { name, entryPoints = [], ...options } = {}) {
+  const root = path.resolve(rootDir);
+  const graph = await analyzeCodebase(root, options);
+  const symbols = await analyzeSymbols(root, options);
+
+  const entry = resolveEntryPoints(graph, entryPoints);
+  const label = name || path.basename(root) || root;
+  const data = {
+    project: {
+      id: "export",
+      name: label,
+      root: label, // no local paths in published pages
+      files: graph.nodes.filter((n) => !n.external).length,
+      edges: graph.edges.length,
+      symbols: symbols.symbols.length,
+      analyzedAt: new Date().toISOString(),
+    },
+    graph,
+    symbols,
+    deadCode: { ...findDeadCode(graph, symbols, entry.files), entrySource: entry.source, revision: null },
+    rules: rulesReport(root, graph),
+    files: readSources(root, graph),
+  };
+
+  const html = fs.readFileSync(path.join(PUBLIC_DIR, "index.html"), "utf-8");
+  const { page, imports } = staticPage(html);
+
+  fs.mkdirSync(outDir, { recursive: true });
+  fs.writeFileSync(path.join(outDir, "index.html"), page);
+  fs.writeFileSync(path.join(outDir, "modules.js"), moduleBundle(imports));
+  fs.writeFileSync(path.join(outDir, "data.js"), `window.${DATA_GLOBAL} = ${JSON.stringify(data)};\n`);
+  return { graph, symbols };
+}
+
+// The /api/rules response, or the config error it would answer with
+function rulesReport(root, graph) {
+  try {
+    const config = loadRules(root);
+    return { configFile: config.file, rules: config.rules.map((r) => r.name), violations: checkRules(graph, config.rules), revision: null };
+  } catch (err) {
+    return { error: err.message };
+  }
+}
+
+// ─── Page and modules ─────────────────────────────────────────────
+
+const IMPORT_MAP = /<script type="importmap">([\s\S]*?)<\/script>\s*/;
+const ENTRY_SCRIPT = `<script type="module" src="${ENTRY_MODULE}"></script>`;
+
+// index.html with the data bundle and modules.js loaded ahead of the entry
+// module. modules.js declares the import map, so the page's own one is
+// taken out and its imports (three.js, still from the CDN) returned to be
+// merged in.
+function staticPage(html) {
+  const importMap = html.match(IMPORT_MAP);
+  if (!importMap || !html.includes(ENTRY_SCRIPT)) {
+    throw new Error("public/index.html no longer has the import map and entry script the export rewrites");
+  }
+
+  const page = html
+    .replace(IMPORT_MAP, "")
+    .replace("<body>", "<body class=\"static-export\">")
+    .replace(ENTRY_SCRIPT, [
+      "<script src=\"data.js\"></script>",
+      "  <script src=\"modules.js\"></script>",
+      `  <script type="module">import "${MODULE_PREFIX}${ENTRY_MODULE}";</script>`,
+    ].join("\n"));
+  return { page, imports: JSON.parse(importMap[1]).imports };
+}
+
+// A classic script that registers every front-end module in an import map
+// as a data: URL. Browsers refuse to load module files from file://, but
+// not modules inlined like this. Relative specifiers are rewritten to
+// import map keys, since a data: URL has no location to resolve them from.
+function moduleBundle(imports) {
+  const modules = { ...imports };
+  const pending = [ENTRY_MODULE];
+  while (pending.length > 0) {
+    const file = pending.pop();
+    const key = MODULE_PREFIX + file;
+    if (modules[key]) continue;
+
+    const { code, dependencies } = rewriteSpecifiers(file);
+    modules[key] = `data:text/javascript;base64,${Buffer.from(code, "utf-8").toString("base64")}`;
+    pending.push(...dependencies);
+  }
+
+  return `// Generated by code-visualizer export\n(() => {
+  const script = document.createElement("script");
+  script.type = "importmap";
+  script.textContent = ${JSON.stringify(JSON.stringify({ imports: modules }))};
+  document.currentScript.after(script);
+})();\n`;
+}
+
+// The source of public/`file` with its relative imports (static, dynamic
+// and re-exports) pointing at import map keys, and the files they name
+function rewriteSpecifiers(file) {
+  const code = fs.readFileSync(path.join(PUBLIC_DIR, file), "utf-8");
+  const ast = babelParser.parse(code, { sourceType: "module" });
+  const specifiers = [];
+  const collect = (source) => {
+    if (source?.type === "StringLiteral" && source.value.startsWith(".")) specifiers.push(source);
+  };
+  traverse(ast, {
+    ImportDeclaration: (p) => collect(p.node.source),
+    ExportNamedDeclaration: (p) => collect(p.node.source),
+    ExportAllDeclaration: (p) => collect(p.node.source),
+    CallExpression: (p) => {
+      if (p.node.callee.type === "Import") collect(p.node.arguments[0]);
+    },
+  });
+
+  const dependencies = [];
+  let rewritten = code;
+  // Back to front, so earlier offsets stay valid
+  for (const literal of specifiers.sort((a, b) => b.start - a.start)) {
+    const target = path.posix.join(path.posix.dirname(file), literal.value);
+    dependencies.push(target);
+    rewritten = rewritten.slice(0, literal.start) + JSON.stringify(MODULE_PREFIX + target) + rewritten.slice(literal.end);
+  }
+  return { code: rewritten, dependencies };
+}
+
+module.exports = { exportSite };
@@ -0,0 +1,122 @@
+const fs = require("fs");
+const path = require("path");
+const { builtinModules } = require("module");
+
+const DEPENDENCY_FIELDS = ["dependencies", "devDependencies", "peerDependencies", "optionalDependencies"];
+
+// Bare specifiers that name an npm package (not a path, alias or node builtin)
+function isPackageSpecifier(source) {
+  if (source.startsWith(".") || source.startsWith("/") || source.startsWith("#")) return false;
+  if (source.startsWith("node:") || /^[a-z]+:\/\//i.test(source)) return false;
+  const name = packageName(source);
+  return !builtinModules.includes(name);
+}
+
+// "@scope/pkg/sub/path" -> "@scope/pkg", "lodash/fp" -> "lodash"
+function packageName(source) {
+  const parts = source.split("/");
+  return source.startsWith("@") ? parts.slice(0, 2).join("/") : parts[0];
+}
+
+/**
+ * Collects declared ranges (from package.json manifests) and installed
+ * versions (from package-lock.json, yarn.lock or pnpm-lock.yaml) for every
+ * dependency of the project. Returns a Map of name -> { range, version }.
+ */
+function readDependencyVersions(rootDir, manifestDirs = []) {
+  const versions = new Map();
+
+  for (const dir of [rootDir, ...manifestDirs]) {
+    const manifest = readJson(path.join(dir, "package.json"));
+    if (!manifest) continue;
+    for (const field of DEPENDENCY_FIELDS) {
+      for (const [name, range] of Object.entries(manifest[field] || {})) {
+        if (!versions.has(name)) versions.set(name, { range, version: null });
+      }
+    }
+  }
+
+  const locked = readLockfileVersions(rootDir);
+  for (const [name, version] of locked) {
+    const entry = versions.get(name);
+    if (entry) entry.version = version;
+  }
+
+  return versions;
+}
+
+function readLockfileVersions(rootDir) {
+  const npmLock = readJson(path.join(rootDir, "package-lock.json"));
+  if (npmLock) return readNpmLock(npmLock);
+
+  const yarnLock = readText(path.join(rootDir, "yarn.lock"));
+  if (yarnLock) return readYarnLock(yarnLock);
+
+  const pnpmLock = readText(path.join(rootDir, "pnpm-lock.yaml"));
+  if (pnpmLock) return readPnpmLock(pnpmLock);
+
+  return new Map();
+}
+
+function readNpmLock(lock) {
+  const versions = new Map();
+  // lockfileVersion 2/3: "packages": { "node_modules/lodash": { version } }
+  for (const [key, info] of Object.entries(lock.packages || {})) {
+    const idx = key.lastIndexOf("node_modules/");
+    if (idx !== 0 || !info.version) continue;
+    versions.set(key.slice("node_modules/".length), info.version);
+  }
+  // lockfileVersion 1: "dependencies": { lodash: { version } }
+  for (const [name, info] of Object.entries(lock.dependencies || {})) {
+    if (!versions.has(name) && info.version) versions.set(name, info.version);
+  }
+  return versions;
+}
+
+function readYarnLock(text) {
+  const versions = new Map();
+  let current = null;
+  for (const line of text.split("\n")) {
+    if (/^\S/.test(line) && line.endsWith(":")) {
+      // `"lodash@^4.17.0", lodash@^4.17.21:` or `"@scope/pkg@npm:^1.0.0":`
+      const first = line.split(",")[0].replace(/^"/, "");
+      current = first.slice(0, first.indexOf("@", 1));
+    } else if (current) {
+      const m = line.match(/^\s+version:?\s+"?([^"\s]+)"?/);
+      if (m) {
+        if (!versions.has(current)) versions.set(current, m[1]);
+        current = null;
+      }
+    }
+  }
+  return versions;
+}
+
+function readPnpmLock(text) {
+  const versions = new Map();
+  // "  /lodash@4.17.21:", "  /@scope/pkg/1.0.0:" (v5) or "  lodash@4.17.21:" (v9)
+  const re = /^ {2}'?\/?((?:@[^/@\s]+\/)?[^/@\s]+)[@/](\d[^:('\s]*)/;
+  for (const line of text.split("\n")) {
+    const m = line.match(re);
+    if (m && !versions.has(m[1])) versions.set(m[1], m[2]);
+  }
+  return versions;
+}
+
+function readJson(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf-8"));
+  } catch {
+    return null;
+  }
+}
+
+function readText(file) {
+  try {
+    return fs.readFileSync(file, "utf-8");
+  } catch {
+    return null;
+  }
+}
+
+module.exports = { isPackageSpecifier, packageName, readDependencyVersions };
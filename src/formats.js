@@ -0,0 +1,138 @@
+// Serializers that turn a graph into formats other tools read. They all
+// take the same shape:
+//   { name, nodes: [{ id, label, attributes }], edges: [{ source, target, label, attributes }] }
+// where `attributes` are flat objects of strings, numbers and booleans.
+
+const FORMATS = ["json", "dot", "graphml", "mermaid", "csv"];
+
+// File extensions that imply a format, for `--out graph.dot` and the like
+const FORMAT_EXTENSIONS = {
+  ".json": "json",
+  ".dot": "dot",
+  ".gv": "dot",
+  ".graphml": "graphml",
+  ".mmd": "mermaid",
+  ".mermaid": "mermaid",
+  ".csv": "csv",
+};
+
+// Graphviz DOT
+function toDot(graph) {
+  const lines = [`digraph ${dotString(graph.name)} {`, "  rankdir=LR;", "  node [shape=box];"];
+  for (const node of graph.nodes) {
+    lines.push(`  ${dotString(node.id)} [${dotAttributes({ label: node.label, ...node.attributes })}];`);
+  }
+  for (const edge of graph.edges) {
+    const attrs = dotAttributes({ label: edge.label, ...edge.attributes });
+    lines.push(`  ${dotString(edge.source)} -> ${dotString(edge.target)} [${attrs}];`);
+  }
+  lines.push("}");
+  return lines.join("\n") + "\n";
+}
+
+function dotAttributes(attributes) {
+  return Object.entries(attributes)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([key, value]) => `${key}=${dotString(value)}`)
+    .join(", ");
+}
+
+function dotString(value) {
+  return `"${String(value).replace(/\\/g, "\\\\").replace(/"/g, "\\\"").replace(/\n/g, "\\n")}"`;
+}
+
+// GraphML, with one <key> per attribute name
+function toGraphML(graph) {
+  const keys = [
+    ...attributeKeys(graph.nodes, "node", { label: "" }),
+    ...attributeKeys(graph.edges, "edge", { label: "" }),
+  ];
+  const data = (item, kind) => Object.entries({ label: item.label, ...item.attributes })
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([key, value]) => `<data key="${kind}-${xmlEscape(key)}">${xmlEscape(value)}</data>`)
+    .join("");
+
+  const lines = [
+    "<?xml version=\"1.0\" encoding=\"UTF-8\"?>",
+    "<graphml xmlns=\"http://graphml.graphdrawing.org/xmlns\">",
+    ...keys.map(({ id, kind, name, type }) =>
+      `  <key id="${id}" for="${kind}" attr.name="${xmlEscape(name)}" attr.type="${type}"/>`),
+    `  <graph id="${xmlEscape(graph.name)}" edgedefault="directed">`,
+    ...graph.nodes.map((node) => `    <node id="${xmlEscape(node.id)}">${data(node, "node")}</node>`),
+    ...graph.edges.map((edge) =>
+      `    <edge source="${xmlEscape(edge.source)}" target="${xmlEscape(edge.target)}">${data(edge, "edge")}</edge>`),
+    "  </graph>",
+    "</graphml>",
+  ];
+  return lines.join("\n") + "\n";
+}
+
+// The <key> declarations for every attribute `items` carry, typed from
+// their first non-empty value
+function attributeKeys(items, kind, base) {
+  const types = new Map();
+  for (const item of items) {
+    for (const [name, value] of Object.entries({ ...base, ...item.attributes })) {
+      if (types.has(name) || value === undefined || value === null) continue;
+      types.set(name, typeof value === "number" ? "double" : typeof value === "boolean" ? "boolean" : "string");
+    }
+  }
+  return [...types].map(([name, type]) => ({ id: `${kind}-${name}`, kind, name, type }));
+}
+
+function xmlEscape(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+// Mermaid flowchart. Node ids are generated, since file paths and symbol
+// names aren't valid Mermaid identifiers.
+function toMermaid(graph) {
+  const ids = new Map(graph.nodes.map((node, i) => [node.id, `n${i}`]));
+  const lines = ["flowchart LR"];
+  for (const node of graph.nodes) {
+    lines.push(`  ${ids.get(node.id)}["${mermaidText(node.label)}"]`);
+  }
+  for (const edge of graph.edges) {
+    const arrow = edge.label ? `-->|${mermaidText(edge.label)}|` : "-->";
+    lines.push(`  ${ids.get(edge.source)} ${arrow} ${ids.get(edge.target)}`);
+  }
+  return lines.join("\n") + "\n";
+}
+
+function mermaidText(value) {
+  return String(value).replace(/"/g, "#quot;").replace(/\|/g, "#124;").replace(/</g, "#lt;").replace(/>/g, "#gt;");
+}
+
+// CSV edge list: source, target, label, then every edge attribute
+function toCsv(graph) {
+  const columns = [...new Set(graph.edges.flatMap((edge) => Object.keys(edge.attributes || {})))];
+  const rows = [
+    ["source", "target", "label", ...columns],
+    ...graph.edges.map((edge) => [edge.source, edge.target, edge.label, ...columns.map((c) => edge.attributes?.[c])]),
+  ];
+  return rows.map((row) => row.map(csvCell).join(",")).join("\n") + "\n";
+}
+
+function csvCell(value) {
+  if (value === undefined || value === null) return "";
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, "\"\"")}"` : text;
+}
+
+const SERIALIZERS = { dot: toDot, graphml: toGraphML, mermaid: toMermaid, csv: toCsv };
+
+/**
+ * Serializes `graph` (see the shape above) as `format`, one of FORMATS
+ * other than "json", which callers write from their own data.
+ */
+function formatGraph(graph, format) {
+  const serialize = SERIALIZERS[format];
+  if (!serialize) throw new Error(`Unknown format: ${format} (expected one of ${FORMATS.join(", ")})`);
+  return serialize(graph);
+}
+
+module.exports = { formatGraph, FORMATS, FORMAT_EXTENSIONS };
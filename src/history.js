@@ -0,0 +1,82 @@
+const { execFile } = require("child_process");
+
+// Separators for `git log --format`, unlikely to appear in author names
+const COMMIT_MARK = "\x1e";
+const FIELD_SEP = "\x1f";
+
+// Parsed history per root, reused until HEAD moves
+const cache = new Map();
+
+function git(rootDir, args) {
+  return new Promise((resolve, reject) => {
+    const gitArgs = ["-C", rootDir, "-c", "core.quotePath=false", ...args];
+    execFile("git", gitArgs, { maxBuffer: 256 * 1024 * 1024 }, (err, stdout) => {
+      if (err) reject(err);
+      else resolve(stdout);
+    });
+  });
+}
+
+/**
+ * Reads the git history of `rootDir` (which may be a subfolder of the
+ * repository). Returns `{ head, files }` where `files` maps each path,
+ * relative to rootDir, to `{ commits, authors, lastModified }`: the
+ * number of commits touching it, author names ordered by how often they
+ * touched it, and the time of the latest commit (ms since epoch).
+ * Returns null when rootDir is not inside a git work tree.
+ */
+async function readGitHistory(rootDir) {
+  let head;
+  try {
+    head = (await git(rootDir, ["rev-parse", "HEAD"])).trim();
+  } catch {
+    return null; // not a repository, or no commits yet
+  }
+
+  const cached = cache.get(rootDir);
+  if (cached && cached.head === head) return cached;
+
+  const log = await git(rootDir, [
+    "log",
+    "--no-merges",
+    "--no-renames",
+    "--relative",
+    "--name-only",
+    `--format=${COMMIT_MARK}%at${FIELD_SEP}%aN`,
+    "--",
+    ".",
+  ]);
+
+  const stats = new Map(); // relFile -> { commits, authorCounts, lastModified }
+  for (const chunk of log.split(COMMIT_MARK)) {
+    if (!chunk.trim()) continue;
+    const [header, ...fileLines] = chunk.split("\n");
+    const [timestamp, author] = header.split(FIELD_SEP);
+    const time = Number(timestamp) * 1000;
+
+    for (const line of fileLines) {
+      const file = line.trim();
+      if (!file) continue;
+      let entry = stats.get(file);
+      if (!entry) {
+        entry = { commits: 0, authorCounts: new Map(), lastModified: 0 };
+        stats.set(file, entry);
+      }
+      entry.commits++;
+      entry.authorCounts.set(author, (entry.authorCounts.get(author) || 0) + 1);
+      entry.lastModified = Math.max(entry.lastModified, time);
+    }
+  }
+
+  const files = new Map();
+  for (const [file, entry] of stats) {
+    const authors = [...entry.authorCounts].sort((a, b) => b[1] - a[1]).map(([name]) => name);
+    files.set(file, { commits: entry.commits, authors, lastModified: entry.lastModified });
+  }
+
+  const history = { head, files };
+  cache.set(rootDir, history);
+  return history;
+}
+
+module.exports = { readGitHistory };
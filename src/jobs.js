@@ -0,0 +1,105 @@
+// Finished jobs kept around for clients that come back for the outcome
+const MAX_FINISHED_JOBS = 20;
+
+// Progress within a phase is passed on at most this often
+const PROGRESS_INTERVAL_MS = 100;
+
+/**
+ * Runs long tasks (analyses) as jobs that clients can follow and cancel.
+ * A job is `{ id, status, phase, done, total, result, error }`, where
+ * `status` is "running", "done", "failed" or "cancelled".
+ */
+function createJobStore() {
+  const jobs = new Map(); // id -> job
+  let nextId = 1;
+
+  /**
+   * Starts `task({ signal, progress })` as a job and returns it right away.
+   * The task reports `progress({ phase, done, total })` and stops once
+   * `signal` is aborted; what it resolves to becomes the job's `result`.
+   */
+  function start(task) {
+    const controller = new AbortController();
+    const job = {
+      id: String(nextId++),
+      status: "running",
+      phase: "starting",
+      done: 0,
+      total: 0,
+      result: null,
+      error: null,
+      startedAt: new Date().toISOString(),
+      finishedAt: null,
+      controller,
+      listeners: new Set(),
+      notifiedAt: 0,
+    };
+    jobs.set(job.id, job);
+
+    const progress = (update) => {
+      if (job.status !== "running") return;
+      const samePhase = update.phase === job.phase;
+      Object.assign(job, update);
+      if (samePhase && Date.now() - job.notifiedAt < PROGRESS_INTERVAL_MS) return;
+      notify(job);
+    };
+
+    task({ signal: controller.signal, progress })
+      .then((result) => finish(job, { status: "done", result }))
+      .catch((err) => {
+        if (controller.signal.aborted) finish(job, { status: "cancelled" });
+        else finish(job, { status: "failed", error: err.message });
+      });
+    return job;
+  }
+
+  function finish(job, outcome) {
+    Object.assign(job, outcome, { finishedAt: new Date().toISOString() });
+    notify(job);
+    job.listeners.clear();
+    prune();
+  }
+
+  function prune() {
+    const finished = [...jobs.values()].filter((job) => job.status !== "running");
+    for (const job of finished.slice(0, Math.max(0, finished.length - MAX_FINISHED_JOBS))) {
+      jobs.delete(job.id);
+    }
+  }
+
+  function notify(job) {
+    job.notifiedAt = Date.now();
+    const summary = summarize(job);
+    for (const listener of job.listeners) listener(summary);
+  }
+
+  function get(id) {
+    return jobs.get(id) || null;
+  }
+
+  // Asks a running job to stop; it turns "cancelled" once the task notices
+  function cancel(job) {
+    if (job.status === "running") job.controller.abort();
+  }
+
+  /**
+   * Calls `listener(summary)` with the job's state now and on every change
+   * until it finishes. Returns a function that stops listening.
+   */
+  function subscribe(job, listener) {
+    listener(summarize(job));
+    if (job.status !== "running") return () => {};
+    job.listeners.add(listener);
+    return () => job.listeners.delete(listener);
+  }
+
+  // What clients see of a job
+  function summarize(job) {
+    const { id, status, phase, done, total, result, error, startedAt, finishedAt } = job;
+    return { id, status, phase, done, total, result, error, startedAt, finishedAt };
+  }
+
+  return { start, get, cancel, subscribe, summarize };
+}
+
+module.exports = { createJobStore };
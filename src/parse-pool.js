@@ -0,0 +1,86 @@
+const os = require("os");
+const path = require("path");
+const { Worker } = require("worker_threads");
+
+// Worker threads parsing files besides the main one. Defaults to one per
+// core but the main thread's; CODE_VISUALIZER_WORKERS=0 parses on the main
+// thread only.
+const WORKER_COUNT = process.env.CODE_VISUALIZER_WORKERS !== undefined
+  ? Math.max(0, parseInt(process.env.CODE_VISUALIZER_WORKERS) || 0)
+  : Math.max(1, os.availableParallelism() - 1);
+
+let pool = null;
+
+// The process-wide pool, started on first use; null when workers are off
+function getParsePool() {
+  if (WORKER_COUNT === 0) return null;
+  if (!pool) pool = createParsePool(WORKER_COUNT);
+  return pool;
+}
+
+/**
+ * Runs extractFileRecord (see parser.js) on up to `size` worker threads,
+ * started as work comes in. Idle workers don't keep the process alive.
+ */
+function createParsePool(size) {
+  const workers = [];
+  const queue = []; // { job, resolve, reject } not handed to a worker yet
+
+  // Resolves to the record of one file, or rejects with what the
+  // extraction threw
+  function extract(fullPath, relFile, code) {
+    return new Promise((resolve, reject) => {
+      queue.push({ job: { fullPath, relFile, code }, resolve, reject });
+      dispatch();
+    });
+  }
+
+  function dispatch() {
+    while (queue.length > 0) {
+      let worker = workers.find((w) => !w.task);
+      if (!worker) {
+        if (workers.length >= size) return;
+        worker = spawn();
+      }
+      worker.task = queue.shift();
+      worker.ref();
+      worker.postMessage(worker.task.job);
+    }
+  }
+
+  function spawn() {
+    const worker = new Worker(path.join(__dirname, "parse-worker.js"));
+    worker.task = null;
+    workers.push(worker);
+
+    worker.on("message", ({ record, error }) => {
+      const { resolve, reject } = worker.task;
+      worker.task = null;
+      worker.unref();
+      if (error) reject(new Error(error));
+      else resolve(record);
+      dispatch();
+    });
+
+    // A crashed worker (an uncaught error, running out of memory, exiting)
+    // fails its file and is replaced on demand. "error" is followed by
+    // "exit", so only the first of them counts.
+    worker.on("error", (err) => retire(worker, err));
+    worker.on("exit", (code) => retire(worker, new Error(`Parse worker exited with code ${code}`)));
+    return worker;
+  }
+
+  function retire(worker, err) {
+    const index = workers.indexOf(worker);
+    if (index === -1) return;
+    workers.splice(index, 1);
+    const { task } = worker;
+    worker.task = null;
+    task?.reject(err);
+    dispatch();
+  }
+
+  return { extract, size };
+}
+
+module.exports = { getParsePool };
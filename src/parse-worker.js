@@ -0,0 +1,12 @@
+// Worker thread of the parse pool (see parse-pool.js): extracts the record
+// of each file it is sent, one at a time
+const { parentPort } = require("worker_threads");
+const { extractFileRecord } = require("./parser");
+
+parentPort.on("message", ({ fullPath, relFile, code }) => {
+  try {
+    parentPort.postMessage({ record: extractFileRecord(fullPath, relFile, code) });
+  } catch (err) {
+    parentPort.postMessage({ error: `${relFile}: ${err.message}` });
+  }
+});
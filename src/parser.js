@@ -1,10 +1,18 @@
 const fs = require("fs");
 const path = require("path");
 const { glob } = require("glob");
+const { minimatch } = require("minimatch");
 const babelParser = require("@babel/parser");
 const traverse = require("@babel/traverse").default;
+const { createResolver, EXTENSIONS } = require("./resolve");
+const { isPackageSpecifier, packageName, readDependencyVersions } = require("./externals");
+const { getParseCache, hashContent } = require("./cache");
+const { readGitHistory } = require("./history");
+const { findCycles } = require("./cycles");
+const { buildReexportTable, createExportResolver } = require("./reexports");
+const { createTypeResolver } = require("./type-resolver");
+const { getParsePool } = require("./parse-pool");
 
-const EXTENSIONS = [".js", ".jsx", ".ts", ".tsx", ".mjs", ".cjs"];
 const ALL_EXTENSIONS = [...EXTENSIONS, ".html", ".htm"];
 
 const IGNORE_DIRS = [
@@ -18,8 +26,11 @@ const IGNORE_DIRS = [
   "__pycache__",
 ];
 
-function parseFile(filePath) {
-  const code = fs.readFileSync(filePath, "utf-8");
+// Identifies this version of the extraction code; cached parse results
+// produced by a different parser.js are thrown away.
+const PARSER_FINGERPRINT = hashContent(fs.readFileSync(__filename, "utf-8"));
+
+function parseFile(filePath, code = fs.readFileSync(filePath, "utf-8")) {
   const ext = path.extname(filePath);
   const isTS = ext === ".ts" || ext === ".tsx";
   const isJSX = ext === ".jsx" || ext === ".tsx";
@@ -40,18 +51,13 @@ function parseFile(filePath) {
   if (isTS) plugins.push("typescript");
   if (isJSX || !isTS) plugins.push("jsx");
 
-  try {
-    const ast = babelParser.parse(code, {
-      sourceType: "unambiguous",
-      allowImportExportEverywhere: true,
-      allowReturnOutsideFunction: true,
-      allowSuperOutsideMethod: true,
-      plugins,
-    });
-    return ast;
-  } catch {
-    return null;
-  }
+  return babelParser.parse(code, {
+    sourceType: "unambiguous",
+    allowImportExportEverywhere: true,
+    allowReturnOutsideFunction: true,
+    allowSuperOutsideMethod: true,
+    plugins,
+  });
 }
 
 function extractExports(ast, filePath) {
@@ -82,7 +88,10 @@ function extractExports(ast, filePath) {
       if (nodePath.node.specifiers) {
         for (const spec of nodePath.node.specifiers) {
           if (spec.exported) {
-            exports.push({ name: spec.exported.name, type: "re-export" });
+            const exp = { name: spec.exported.name, type: "re-export" };
+            // Without `from`, this re-exports a local binding: `export { a as b }`
+            if (!nodePath.node.source && spec.local) exp.local = spec.local.name;
+            exports.push(exp);
           }
         }
       }
@@ -128,22 +137,56 @@ function extractExports(ast, filePath) {
   return exports;
 }
 
-function extractImports(ast, filePath, rootDir) {
+// Collect import/require/import() and re-export specifiers as written in
+// the source. Each gets a `kind`: "import", "type" (type-only import or
+// re-export), "re-export", "require" or "dynamic"; re-exports are also
+// flagged `reexport`.
+function extractImports(ast) {
   const imports = [];
 
   traverse(ast, {
     ImportDeclaration(nodePath) {
-      const source = nodePath.node.source.value;
-      const resolved = resolveImport(source, filePath, rootDir);
-      if (!resolved) return;
-
-      const specifiers = nodePath.node.specifiers.map((s) => {
+      const node = nodePath.node;
+      const source = node.source.value;
+      const specifiers = node.specifiers.map((s) => {
         if (s.type === "ImportDefaultSpecifier") return { name: s.local.name, type: "default" };
         if (s.type === "ImportNamespaceSpecifier") return { name: s.local.name, type: "namespace" };
-        return { name: (s.imported?.name || s.local.name), type: "named" };
+        return { name: (s.imported?.name || s.local.name), local: s.local.name, type: "named" };
       });
 
-      imports.push({ source, resolved, specifiers });
+      // `import type { X }` or `import { type X, type Y }`
+      const typeOnly =
+        node.importKind === "type" ||
+        (node.specifiers.length > 0 && node.specifiers.every((s) => s.importKind === "type"));
+      imports.push({ source, specifiers, kind: typeOnly ? "type" : "import" });
+    },
+
+    // export { a, b as c } from "./x" / export * as ns from "./x"
+    ExportNamedDeclaration(nodePath) {
+      const node = nodePath.node;
+      if (!node.source) return;
+      const specifiers = node.specifiers.map((s) => {
+        if (s.type === "ExportNamespaceSpecifier") return { name: s.exported.name, type: "namespace" };
+        if (s.type === "ExportDefaultSpecifier") return { name: s.exported.name, type: "default" };
+        return { name: s.local.name, exported: s.exported.name, type: "named" };
+      });
+      imports.push({
+        source: node.source.value,
+        specifiers,
+        kind: node.exportKind === "type" ? "type" : "re-export",
+        reexport: true,
+      });
+    },
+
+    // export * from "./x"
+    ExportAllDeclaration(nodePath) {
+      const node = nodePath.node;
+      imports.push({
+        source: node.source.value,
+        specifiers: [{ name: "*", type: "star" }],
+        kind: node.exportKind === "type" ? "type" : "re-export",
+        reexport: true,
+      });
     },
 
     CallExpression(nodePath) {
@@ -154,11 +197,7 @@ function extractImports(ast, filePath, rootDir) {
         node.arguments.length === 1 &&
         node.arguments[0].type === "StringLiteral"
       ) {
-        const source = node.arguments[0].value;
-        const resolved = resolveImport(source, filePath, rootDir);
-        if (resolved) {
-          imports.push({ source, resolved, specifiers: [{ name: "default", type: "require" }] });
-        }
+        imports.push({ source: node.arguments[0].value, specifiers: [{ name: "default", type: "require" }], kind: "require" });
       }
       // dynamic import('...')
       if (
@@ -166,11 +205,7 @@ function extractImports(ast, filePath, rootDir) {
         node.arguments.length >= 1 &&
         node.arguments[0].type === "StringLiteral"
       ) {
-        const source = node.arguments[0].value;
-        const resolved = resolveImport(source, filePath, rootDir);
-        if (resolved) {
-          imports.push({ source, resolved, specifiers: [{ name: "default", type: "dynamic" }] });
-        }
+        imports.push({ source: node.arguments[0].value, specifiers: [{ name: "default", type: "dynamic" }], kind: "dynamic" });
       }
     },
   });
@@ -178,6 +213,21 @@ function extractImports(ast, filePath, rootDir) {
   return imports;
 }
 
+// Resolved imports point at a file; unresolved bare specifiers are kept
+// as `external` so callers can build npm package nodes from them.
+function resolveImports(rawImports, filePath, resolver) {
+  const imports = [];
+  for (const imp of rawImports) {
+    const resolved = resolver.resolve(imp.source, filePath);
+    if (resolved) {
+      imports.push({ ...imp, resolved });
+    } else if (isPackageSpecifier(imp.source)) {
+      imports.push({ ...imp, resolved: null, external: packageName(imp.source) });
+    }
+  }
+  return imports;
+}
+
 // Extract top-level declarations (functions, classes, vars) that could be global
 function extractGlobalDeclarations(ast) {
   const declarations = [];
@@ -254,50 +304,25 @@ function extractReferencedIdentifiers(ast) {
   return refs;
 }
 
-function resolveImport(source, fromFile, rootDir) {
-  // Skip external packages
-  if (!source.startsWith(".") && !source.startsWith("/")) {
-    return null;
-  }
-
-  const dir = path.dirname(fromFile);
-  let resolved = path.resolve(dir, source);
-
-  // Try exact match, then with extensions, then as directory index
-  for (const candidate of getCandidates(resolved)) {
-    if (fs.existsSync(candidate)) {
-      return path.relative(rootDir, candidate);
-    }
-  }
-
-  return null;
-}
-
-function getCandidates(base) {
-  const candidates = [base];
-  for (const ext of EXTENSIONS) {
-    candidates.push(base + ext);
-  }
-  // Directory index files
-  for (const ext of EXTENSIONS) {
-    candidates.push(path.join(base, "index" + ext));
-  }
-  return candidates;
-}
-
-// Parse HTML files for <script src="..."> references
-function extractHtmlScriptRefs(filePath, rootDir) {
-  const html = fs.readFileSync(filePath, "utf-8");
-  const refs = [];
+// Parse HTML for local <script src="..."> references (as written)
+function extractHtmlScriptSrcs(html) {
+  const srcs = [];
   const srcRegex = /<script[^>]+src=["']([^"']+)["'][^>]*>/gi;
   let match;
   while ((match = srcRegex.exec(html)) !== null) {
     const src = match[1];
     // Skip external URLs
     if (src.startsWith("http://") || src.startsWith("https://") || src.startsWith("//")) continue;
+    srcs.push(src);
+  }
+  return srcs;
+}
+
+function resolveHtmlScriptRefs(srcs, filePath, rootDir) {
+  const refs = [];
+  for (const src of srcs) {
     // Resolve relative to the HTML file
-    const dir = path.dirname(filePath);
-    const resolved = path.resolve(dir, src);
+    const resolved = path.resolve(path.dirname(filePath), src);
     if (fs.existsSync(resolved)) {
       refs.push(path.relative(rootDir, resolved));
     }
@@ -305,65 +330,250 @@ function extractHtmlScriptRefs(filePath, rootDir) {
   return refs;
 }
 
-async function analyzeCodebase(rootDir) {
-  const ignorePattern = IGNORE_DIRS.map((d) => `**/${d}/**`);
-  const patterns = ALL_EXTENSIONS.map((ext) => `**/*${ext}`);
+// Source files under rootDir, relative and sorted. `include` globs narrow
+// the search (everything by default) and `exclude` globs skip files on top
+// of IGNORE_DIRS; a folder stands for everything in it.
+async function listFiles(rootDir, extensions, { include = [], exclude = [] } = {}) {
+  const { pattern, ignore } = listPatterns(extensions, exclude);
+  const files = await glob(pattern, { cwd: rootDir, ignore, absolute: false });
+  if (include.length === 0) return files.sort();
+  const included = new Set(await glob(withContents(include), { cwd: rootDir, ignore, nodir: true }));
+  return files.filter((file) => included.has(file)).sort();
+}
 
-  const files = [];
-  for (const pattern of patterns) {
-    const matches = await glob(pattern, {
-      cwd: rootDir,
-      ignore: ignorePattern,
-      absolute: false,
-    });
-    files.push(...matches);
-  }
+// Whether listFiles would list `relFile`, without searching the disk
+function isListed(relFile, extensions, { include = [], exclude = [] } = {}) {
+  const { pattern, ignore } = listPatterns(extensions, exclude);
+  if (!minimatch(relFile, pattern) || ignore.some((p) => minimatch(relFile, p))) return false;
+  return include.length === 0 || withContents(include).some((p) => minimatch(relFile, p));
+}
 
-  // Deduplicate
-  const uniqueFiles = [...new Set(files)];
+function listPatterns(extensions, exclude) {
+  return {
+    pattern: `**/*.{${extensions.map((ext) => ext.slice(1)).join(",")}}`,
+    ignore: [...IGNORE_DIRS.map((d) => `**/${d}/**`), ...withContents(exclude)],
+  };
+}
 
-  const fileData = {};
+// A folder pattern stands for everything in it
+function withContents(patterns) {
+  return patterns.flatMap((p) => [p, `${p.replace(/\/+$/, "")}/**`]);
+}
 
-  // First pass: collect exports from all files
-  for (const file of uniqueFiles) {
-    const fullPath = path.join(rootDir, file);
-    const ext = path.extname(file);
-
-    // HTML files get special treatment
-    if (ext === ".html" || ext === ".htm") {
-      const code = fs.readFileSync(fullPath, "utf-8");
-      const lines = code.split("\n").length;
-      const scriptRefs = extractHtmlScriptRefs(fullPath, rootDir);
-      fileData[file] = { exports: [], imports: [], lines, globals: [], referencedIds: new Set(), htmlScriptRefs: scriptRefs };
-      continue;
-    }
+/**
+ * Lists the files of rootDir and loads their parse records: what
+ * analyzeCodebase and analyzeSymbols read. Pass the result as their
+ * `sources` option to read the tree once for both, and keep it to bring
+ * it up to date with updateSources. Resolves to `{ files, records }`.
+ */
+async function loadSources(rootDir, options = {}) {
+  const { onProgress, signal, cacheRoot } = options;
+  onProgress?.({ phase: "listing", done: 0, total: 0 });
+  const files = await listFiles(rootDir, ALL_EXTENSIONS, options);
+  signal?.throwIfAborted();
+  const records = await loadFileRecords(rootDir, files, { onProgress, signal, cacheRoot });
+  return { files, records };
+}
 
-    const ast = parseFile(fullPath);
-    if (!ast) {
-      fileData[file] = { exports: [], imports: [], lines: 0 };
-      continue;
+/**
+ * `sources` (from loadSources) after the `changed` files were edited,
+ * added or deleted. Only those are read again; the other records are
+ * reused. `options` select files as for loadSources.
+ */
+async function updateSources(rootDir, sources, changed, options = {}) {
+  const changedSet = new Set(changed);
+  const present = changed.filter((file) => {
+    if (!isListed(file, ALL_EXTENSIONS, options)) return false;
+    try {
+      return fs.statSync(path.join(rootDir, file)).isFile();
+    } catch {
+      return false; // deleted
     }
+  });
+
+  const files = [...sources.files.filter((file) => !changedSet.has(file)), ...present].sort();
+  const records = await loadFileRecords(rootDir, present, { cacheRoot: options.cacheRoot });
+  for (const file of files) records[file] ??= sources.records[file];
+  return { files, records };
+}
 
+// Longest stretch of synchronous work before a long loop yields to the
+// event loop, so a server stays responsive and can take a cancel request
+const YIELD_INTERVAL_MS = 50;
+
+// Yields now and then from a long loop: call `step()` once per item. It
+// rejects once `signal` is aborted.
+function createYielder(signal) {
+  let last = Date.now();
+  return async function step() {
+    if (Date.now() - last < YIELD_INTERVAL_MS) return;
+    await new Promise((resolve) => setImmediate(resolve));
+    last = Date.now();
+    signal?.throwIfAborted();
+  };
+}
+
+// Fewer files to parse than this are parsed on the main thread: starting
+// workers would take longer
+const MIN_FILES_FOR_WORKERS = 20;
+
+/**
+ * Returns the per-file parse record for every file, shared by
+ * analyzeCodebase and analyzeSymbols. Unchanged files (same content hash)
+ * come from the on-disk parse cache of `cacheRoot`; only the rest are
+ * parsed, on the worker threads of the parse pool when there are enough
+ * of them.
+ */
+async function loadFileRecords(rootDir, files, { onProgress, signal, cacheRoot = rootDir } = {}) {
+  const cache = getParseCache(cacheRoot, PARSER_FINGERPRINT);
+  const records = {};
+  const misses = []; // { file, fullPath, code, hash } of the files to parse
+  const step = createYielder(signal);
+
+  for (const file of files) {
+    await step();
+    const fullPath = path.join(rootDir, file);
     const code = fs.readFileSync(fullPath, "utf-8");
-    const lines = code.split("\n").length;
-    const exports = extractExports(ast, fullPath);
+    const hash = hashContent(code);
+    const record = cache.get(file, hash);
+    if (record) records[file] = record;
+    else misses.push({ file, fullPath, code, hash });
+  }
 
-    fileData[file] = { exports, imports: [], lines };
+  let done = files.length - misses.length;
+  onProgress?.({ phase: "parsing", done, total: files.length });
+  const store = (miss, record) => {
+    cache.set(miss.file, miss.hash, record);
+    records[miss.file] = record;
+    onProgress?.({ phase: "parsing", done: ++done, total: files.length });
+  };
+
+  const pool = misses.length >= MIN_FILES_FOR_WORKERS ? getParsePool() : null;
+  try {
+    if (pool) {
+      // A few files queued per worker keeps them busy without holding up a cancel
+      let next = 0;
+      const drain = async () => {
+        try {
+          while (next < misses.length) {
+            signal?.throwIfAborted();
+            const miss = misses[next++];
+            store(miss, await pool.extract(miss.fullPath, miss.file, miss.code));
+          }
+        } catch (err) {
+          next = misses.length; // the others stop taking files too
+          throw err;
+        }
+      };
+      await Promise.all(Array.from({ length: pool.size * 2 }, drain));
+    } else {
+      for (const miss of misses) {
+        await step();
+        store(miss, extractFileRecord(miss.fullPath, miss.file, miss.code));
+      }
+    }
+  } finally {
+    // Also when cancelled: the files parsed so far needn't be parsed again
+    cache.save();
   }
+  return records;
+}
 
-  // Second pass: collect imports and global declarations (JS/TS only)
-  for (const file of uniqueFiles) {
-    const ext = path.extname(file);
-    if (ext === ".html" || ext === ".htm") continue;
+// Files that failed to parse: { file, line, column, message }
+function parseErrorsOf(files, records) {
+  return files
+    .filter((file) => records[file].error)
+    .map((file) => ({ file, ...records[file].error }));
+}
 
+// Where and why Babel gave up on a file. Columns count from 1, like
+// editors do; Babel's count from 0 and repeat the position in the message.
+function parseErrorOf(err) {
+  return {
+    line: err.loc?.line ?? null,
+    column: err.loc ? err.loc.column + 1 : null,
+    message: err.message.replace(/ \(\d+:\d+\)$/, ""),
+  };
+}
+
+// Everything we extract from a single file. Must be JSON-serializable and
+// independent of other files, since it is cached by content hash.
+function extractFileRecord(fullPath, relFile, code) {
+  const lines = code.split("\n").length;
+  const ext = path.extname(relFile);
+
+  // HTML files get special treatment
+  if (ext === ".html" || ext === ".htm") {
+    return { lines, scriptSrcs: extractHtmlScriptSrcs(code) };
+  }
+
+  let ast;
+  try {
+    ast = parseFile(fullPath, code);
+  } catch (err) {
+    return { lines, parsed: false, error: parseErrorOf(err) };
+  }
+
+  const { symbols, calls } = extractSymbols(ast, fullPath, relFile, code);
+  const referencedIds = extractReferencedIdentifiers(ast);
+  // Functions named outside their declaration (passed as callbacks,
+  // assigned, exported by name) may run without any call edge
+  for (const sym of symbols) {
+    if (sym.type === "function" && referencedIds.has(localName(sym.name).replace(/ #\d+$/, ""))) sym.referenced = true;
+  }
+  return {
+    lines,
+    parsed: true,
+    exports: extractExports(ast, fullPath),
+    imports: extractImports(ast),
+    globals: extractGlobalDeclarations(ast),
+    referencedIds: [...referencedIds],
+    symbols,
+    calls,
+  };
+}
+
+// Options:
+//   externals — also emit a node per npm package, with edges from importing files
+//   history   — annotate files with churn, authors and age from git (default on)
+//   include / exclude — globs selecting the files to analyze (see listFiles)
+//   onProgress — called with { phase, done, total } as the analysis advances
+//   signal — an AbortSignal that cancels the analysis
+//   cacheRoot — whose parse cache to use, when rootDir is a checkout of it
+//   sources — the files and records to analyze, from loadSources or
+//             updateSources; listed and loaded here when not given
+async function analyzeCodebase(rootDir, options = {}) {
+  const { externals = false, history = true, onProgress, signal } = options;
+
+  const { files: uniqueFiles, records } = options.sources || (await loadSources(rootDir, options));
+  const resolver = createResolver(rootDir, { ignoreDirs: IGNORE_DIRS });
+  const fileData = {};
+  const step = createYielder(signal);
+
+  for (const [i, file] of uniqueFiles.entries()) {
+    await step();
+    onProgress?.({ phase: "resolving", done: i, total: uniqueFiles.length });
     const fullPath = path.join(rootDir, file);
-    const ast = parseFile(fullPath);
-    if (!ast) continue;
+    const record = records[file];
+
+    if (record.scriptSrcs) {
+      const scriptRefs = resolveHtmlScriptRefs(record.scriptSrcs, fullPath, rootDir);
+      fileData[file] = { exports: [], imports: [], lines: record.lines, globals: [], referencedIds: new Set(), htmlScriptRefs: scriptRefs };
+      continue;
+    }
+
+    if (!record.parsed) {
+      fileData[file] = { exports: [], imports: [], lines: record.lines, parseError: record.error };
+      continue;
+    }
 
-    const imports = extractImports(ast, fullPath, rootDir);
-    fileData[file].imports = imports;
-    fileData[file].globals = extractGlobalDeclarations(ast);
-    fileData[file].referencedIds = extractReferencedIdentifiers(ast);
+    fileData[file] = {
+      exports: record.exports,
+      imports: resolveImports(record.imports, fullPath, resolver),
+      lines: record.lines,
+      globals: record.globals,
+      referencedIds: new Set(record.referencedIds),
+    };
   }
 
   // Build graph
@@ -379,30 +589,26 @@ async function analyzeCodebase(rootDir) {
       if (!exportNames.has(g.name)) allExports.push(g);
     }
 
-    nodes.push({
+    const node = {
       id: file,
       exports: allExports,
       lines: data.lines,
       folder: path.dirname(file),
       extension: path.extname(file),
+      package: resolver.packageOf(file),
       incomingCount: 0, // filled below
-    });
+    };
+    // Its exports and imports are unknown, so its edges are missing
+    if (data.parseError) node.parseError = data.parseError;
+    nodes.push(node);
   }
 
-  // Build edges from explicit imports
+  // Build directed edges from explicit imports
   for (const file of uniqueFiles) {
     const data = fileData[file];
     for (const imp of data.imports) {
       if (!imp.resolved || !fileData[imp.resolved]) continue;
-
-      const key = [file, imp.resolved].sort().join("|||");
-      if (!edgeMap[key]) {
-        edgeMap[key] = { source: file, target: imp.resolved, weight: 0, references: [] };
-      }
-      edgeMap[key].weight += imp.specifiers.length;
-      edgeMap[key].references.push(
-        ...imp.specifiers.map((s) => s.name)
-      );
+      addEdge(edgeMap, file, imp.resolved, imp.kind, imp.specifiers.map((s) => s.name));
     }
   }
 
@@ -412,12 +618,7 @@ async function analyzeCodebase(rootDir) {
     if (!data.htmlScriptRefs) continue;
     for (const scriptFile of data.htmlScriptRefs) {
       if (!fileData[scriptFile]) continue;
-      const key = [file, scriptFile].sort().join("|||");
-      if (!edgeMap[key]) {
-        edgeMap[key] = { source: file, target: scriptFile, weight: 0, references: [] };
-      }
-      edgeMap[key].weight += 1;
-      edgeMap[key].references.push("script-src");
+      addEdge(edgeMap, file, scriptFile, "script-src", ["script-src"]);
     }
   }
 
@@ -441,8 +642,264 @@ async function analyzeCodebase(rootDir) {
   // Collect unique folders for filtering
   const folders = [...new Set(nodes.map((n) => n.folder))].sort();
   const extensions = [...new Set(nodes.map((n) => n.extension))].sort();
+  const packages = [...new Set(nodes.map((n) => n.package).filter(Boolean))].sort();
+
+  const cycles = markCycles(uniqueFiles, fileData, nodes, edgeMap);
+  const reexportTables = buildReexportTables(uniqueFiles, fileData, records);
+  markBarrels(uniqueFiles, fileData, records, nodes, edgeMap, reexportTables);
+  markUnusedExports(uniqueFiles, fileData, nodes, reexportTables);
+
+  onProgress?.({ phase: "history", done: 0, total: 0 });
+  const gitHistory = history ? await readGitHistory(rootDir) : null;
+  signal?.throwIfAborted();
+  if (gitHistory) {
+    for (const node of nodes) {
+      const fileHistory = gitHistory.files.get(node.id);
+      if (fileHistory) node.history = fileHistory;
+    }
+  }
+
+  if (externals) {
+    addExternalNodes(rootDir, resolver, uniqueFiles, fileData, nodes, edges);
+  }
+
+  // Where execution starts: package.json entry points and HTML pages
+  const entryPoints = [
+    ...resolver.entryPoints().filter((file) => fileData[file]),
+    ...uniqueFiles.filter((file) => fileData[file].htmlScriptRefs),
+  ].sort();
+
+  return {
+    nodes,
+    edges,
+    folders,
+    extensions,
+    packages,
+    cycles,
+    entryPoints,
+    parseErrors: parseErrorsOf(uniqueFiles, records),
+    history: gitHistory && { head: gitHistory.head },
+  };
+}
 
-  return { nodes, edges, folders, extensions };
+// How strongly an edge kind ties two files together, strongest first. An
+// edge reached in several ways is labeled with the strongest kind.
+const EDGE_KINDS = ["import", "re-export", "require", "script-src", "dynamic", "type"];
+
+// Edges are directed and keyed "source|||target"; `kinds` lists every way
+// the source reaches the target and `kind` is the strongest of them
+function addEdge(edgeMap, source, target, kind, references) {
+  const key = source + "|||" + target;
+  let edge = edgeMap[key];
+  if (!edge) {
+    edge = edgeMap[key] = { source, target, kind, kinds: [], weight: 0, references: [] };
+  }
+  if (!edge.kinds.includes(kind)) {
+    edge.kinds.push(kind);
+    edge.kinds.sort((a, b) => EDGE_KINDS.indexOf(a) - EDGE_KINDS.indexOf(b));
+    edge.kind = edge.kinds[0];
+  }
+  edge.weight += kind === "script-src" ? 1 : references.length;
+  edge.references.push(...references);
+}
+
+// Re-export table (see buildReexportTable) of every parsed file
+function buildReexportTables(files, fileData, records) {
+  const tables = new Map();
+  for (const file of files) {
+    const data = fileData[file];
+    if (records[file].parsed) tables.set(file, buildReexportTable(file, data.imports, data.exports));
+  }
+  return tables;
+}
+
+// Barrel files only pass on what other files export. They get `barrel`,
+// and each edge into one gets `providers`: the files that declare what the
+// importer takes from it, following re-export chains through further
+// barrels. The galaxy can then skip barrels and link importers directly.
+function markBarrels(files, fileData, records, nodes, edgeMap, tables) {
+  const barrels = new Set(files.filter((file) => {
+    const table = tables.get(file);
+    if (!table || (table.named.size === 0 && table.stars.length === 0)) return false;
+    // Anything declared here besides re-exports (top-level code aside) makes it a real module
+    return records[file].symbols.every((s) => s.type === "module") && !defaultExportName(fileData[file].exports);
+  }));
+  if (barrels.size === 0) return;
+
+  const exportResolver = createExportResolver(tables, (file, name) => {
+    const { exports } = fileData[file];
+    if (name === "default") return defaultExportName(exports) ? name : null;
+    const declared = exports.some((e) => e.name === name && e.type !== "re-export")
+      || records[file].symbols?.some((s) => s.name === name);
+    return declared ? name : null;
+  });
+
+  // Every non-barrel file a barrel re-exports from, through nested barrels
+  const reexported = new Map();
+  function providersOf(barrel, visiting = new Set()) {
+    if (reexported.has(barrel)) return reexported.get(barrel);
+    visiting.add(barrel);
+    const providers = new Set();
+    for (const imp of fileData[barrel].imports) {
+      if (!imp.resolved || !fileData[imp.resolved]) continue;
+      if (!barrels.has(imp.resolved)) providers.add(imp.resolved);
+      else if (!visiting.has(imp.resolved)) for (const p of providersOf(imp.resolved, visiting)) providers.add(p);
+    }
+    reexported.set(barrel, providers);
+    return providers;
+  }
+
+  for (const node of nodes) {
+    if (barrels.has(node.id)) node.barrel = true;
+  }
+
+  for (const file of files) {
+    if (barrels.has(file)) continue;
+    for (const imp of fileData[file].imports) {
+      if (!barrels.has(imp.resolved)) continue;
+      const edge = edgeMap[file + "|||" + imp.resolved];
+      const providers = new Set(edge.providers);
+      for (const spec of imp.specifiers) {
+        const name = spec.type === "named" ? spec.name : spec.type === "default" ? "default" : null;
+        const target = name && exportResolver.resolve(imp.resolved, name);
+        if (target?.file && !barrels.has(target.file)) {
+          providers.add(target.file);
+        } else {
+          // Namespace, side-effect and unresolved imports may use any of it
+          const barrel = target?.namespace || imp.resolved;
+          const all = barrels.has(barrel) ? providersOf(barrel) : [barrel];
+          for (const p of all) providers.add(p);
+        }
+      }
+      if (imp.specifiers.length === 0) for (const p of providersOf(imp.resolved)) providers.add(p);
+      edge.providers = [...providers].sort();
+    }
+  }
+}
+
+// Tags files with `unusedExports`: names they export that no other file
+// imports, directly or through re-exports. Namespace imports, require()
+// and import() may use anything, so they count every export as used.
+function markUnusedExports(files, fileData, nodes, tables) {
+  const used = new Map(files.map((file) => [file, new Set()]));
+  const fullyUsed = new Set();
+  const declares = (file, name) => fileData[file].exports.some((e) => exportKey(e) === name && e.type !== "re-export");
+
+  function markUsed(file, name) {
+    const names = used.get(file);
+    if (!names || names.has(name)) return;
+    names.add(name);
+    const entry = tables.get(file)?.named.get(name);
+    if (entry) {
+      if (entry.namespace) markAllUsed(entry.from);
+      else markUsed(entry.from, entry.imported);
+    } else if (name !== "default" && !declares(file, name)) {
+      for (const from of tables.get(file)?.stars || []) markUsed(from, name);
+    }
+  }
+
+  function markAllUsed(file) {
+    if (!used.has(file) || fullyUsed.has(file)) return;
+    fullyUsed.add(file);
+    for (const exp of fileData[file].exports) markUsed(file, exportKey(exp));
+    for (const from of tables.get(file)?.stars || []) markAllUsed(from);
+  }
+
+  for (const file of files) {
+    for (const imp of fileData[file].imports) {
+      if (!imp.resolved || imp.resolved === file || !fileData[imp.resolved]) continue;
+      // Re-exports are followed only once something imports the re-exported name
+      if (imp.reexport) continue;
+      for (const spec of imp.specifiers) {
+        if (spec.type === "named") markUsed(imp.resolved, spec.name);
+        else if (spec.type === "default") markUsed(imp.resolved, "default");
+        else markAllUsed(imp.resolved);
+      }
+    }
+  }
+
+  for (const node of nodes) {
+    const exports = fileData[node.id].exports;
+    if (fullyUsed.has(node.id)) continue;
+    const unused = exports.filter((e) => !used.get(node.id).has(exportKey(e))).map((e) => e.name);
+    if (unused.length > 0) node.unusedExports = [...new Set(unused)];
+  }
+}
+
+// The name other files import an export by
+function exportKey(exp) {
+  return exp.type === "default" || exp.type === "cjs-default" ? "default" : exp.name;
+}
+
+// Finds import cycles and tags their files with `cycle` (the component id)
+// and the edges along a minimal cycle with `cycle` as well
+function markCycles(files, fileData, nodes, edgeMap) {
+  const adjacency = new Map();
+  for (const file of files) {
+    const targets = new Set();
+    for (const imp of fileData[file].imports) {
+      // Type-only imports are erased at compile time, so they can't form a cycle
+      if (imp.kind === "type") continue;
+      if (imp.resolved && fileData[imp.resolved]) targets.add(imp.resolved);
+    }
+    adjacency.set(file, targets);
+  }
+
+  const cycles = findCycles(adjacency);
+  const nodeById = new Map(nodes.map((n) => [n.id, n]));
+  for (const component of cycles) {
+    for (const file of component.files) nodeById.get(file).cycle = component.id;
+    for (const cyclePath of component.paths) {
+      cyclePath.forEach((file, i) => {
+        const next = cyclePath[(i + 1) % cyclePath.length];
+        const edge = edgeMap[file + "|||" + next];
+        if (edge) edge.cycle = component.id;
+      });
+    }
+  }
+  return cycles;
+}
+
+// One synthetic node per imported npm package, labeled with its version
+function addExternalNodes(rootDir, resolver, files, fileData, nodes, edges) {
+  const manifestDirs = [...resolver.workspaces.values()].map((pkg) => pkg.dir);
+  const versions = readDependencyVersions(rootDir, manifestDirs);
+  const fileNodes = new Map(nodes.map((n) => [n.id, n]));
+  const externalNodes = new Map();
+  const edgeMap = {};
+
+  for (const file of files) {
+    const used = new Set();
+    for (const imp of fileData[file].imports) {
+      if (!imp.external) continue;
+      const id = `npm:${imp.external}`;
+      used.add(id);
+
+      if (!externalNodes.has(id)) {
+        const info = versions.get(imp.external) || {};
+        externalNodes.set(id, {
+          id,
+          name: imp.external,
+          external: true,
+          version: info.version || null,
+          range: info.range || null,
+          exports: [],
+          lines: 0,
+          folder: "node_modules",
+          extension: "",
+          incomingCount: 0,
+        });
+      }
+
+      addEdge(edgeMap, file, id, imp.kind, imp.specifiers.map((s) => s.name));
+    }
+
+    for (const id of used) externalNodes.get(id).incomingCount++;
+    fileNodes.get(file).dependencyCount = used.size;
+  }
+
+  nodes.push(...[...externalNodes.values()].sort((a, b) => a.name.localeCompare(b.name)));
+  edges.push(...Object.values(edgeMap));
 }
 
 function conditionToString(node, sourceCode) {
@@ -487,84 +944,320 @@ function getEnclosingConditions(nodePath, sourceCode) {
       scope.node.type === "FunctionDeclaration" ||
       scope.node.type === "ArrowFunctionExpression" ||
       scope.node.type === "FunctionExpression" ||
-      scope.node.type === "ClassMethod"
+      scope.node.type === "ObjectMethod" ||
+      CLASS_MEMBER_TYPES.includes(scope.node.type)
     ) break;
     scope = scope.parentPath;
   }
   return [];
 }
 
+// Dotted name of a class or type reference (`Base`, `ns.Base`), or null
+// for anything else, like `class extends mixin(Base)`
+function entityName(node) {
+  if (!node) return null;
+  if (node.type === "Identifier") return node.name;
+  if (node.type === "MemberExpression" && !node.computed) {
+    const object = entityName(node.object);
+    return object && node.property.name ? `${object}.${node.property.name}` : null;
+  }
+  if (node.type === "TSQualifiedName") {
+    const left = entityName(node.left);
+    return left ? `${left}.${node.right.name}` : null;
+  }
+  return null;
+}
+
+const FUNCTION_TYPES = ["FunctionExpression", "ArrowFunctionExpression"];
+const CLASS_FIELD_TYPES = ["ClassProperty", "ClassPrivateProperty", "ClassAccessorProperty"];
+const CLASS_MEMBER_TYPES = ["ClassMethod", "ClassPrivateMethod", "StaticBlock", ...CLASS_FIELD_TYPES];
+// Synthetic symbol for a file's top-level code
+const MODULE_SYMBOL = "<module>";
+// Every function gets a symbol, named or not
+const FUNCTION_SCOPE_TYPES = ["FunctionDeclaration", "ObjectMethod", ...FUNCTION_TYPES];
+
+function paramNames(params = []) {
+  return params.map((p) => {
+    if (p.type === "TSParameterProperty") p = p.parameter;
+    if (p.type === "Identifier") return p.name;
+    if (p.type === "AssignmentPattern" && p.left.type === "Identifier") return p.left.name;
+    if (p.type === "RestElement" && p.argument.type === "Identifier") return `...${p.argument.name}`;
+    return "...";
+  });
+}
+
+// The function or member a symbol name ends with: `inner` for
+// `outer > inner`, `render` for `Widget.render`
+function localName(name) {
+  return name.split(" > ").pop().split(".").pop();
+}
+
+/**
+ * Names the symbols of one file. The returned `nameOf(nodePath)` gives the
+ * name a node is indexed under, or null when it has none:
+ *   - top-level functions by their own name (`init`, `default`)
+ *   - class members as `Class.method`, `Class.#secret`, `Class.<static>`
+ *   - members of named object literals as `api.load`, `default.methods.save`
+ *   - functions inside another symbol under it: `outer > inner`, and
+ *     anonymous ones by where they're used, `outer > <callback in .then>`;
+ *     anonymous top-level ones go under the module, `<module> > <iife>`
+ * Same-named siblings are numbered (`<callback in .then #2>`) in source
+ * order, so names must be asked for in traversal order. Symbol extraction
+ * and caller attribution both go through here, so calls are credited to
+ * exactly the symbols that exist.
+ */
+function createSymbolNamer() {
+  const names = new Map(); // node -> name
+  const seen = new Map(); // "enclosing > name" -> count so far
+
+  function nameOf(nodePath) {
+    if (!names.has(nodePath.node)) names.set(nodePath.node, computeName(nodePath));
+    return names.get(nodePath.node);
+  }
+
+  function computeName(nodePath) {
+    const { node } = nodePath;
+    if (FUNCTION_SCOPE_TYPES.includes(node.type)) {
+      const member = memberOf(nodePath);
+      const memberName = member && memberNameOf(member);
+      if (memberName) return memberName;
+      return nestedName(nodePath, functionName(nodePath) || anonymousLabel(nodePath));
+    }
+    if (CLASS_MEMBER_TYPES.includes(node.type) || node.type === "ObjectProperty") return memberNameOf(nodePath);
+    return null;
+  }
+
+  // `name` placed under the enclosing symbol, numbered if a sibling already has it
+  function nestedName(nodePath, name) {
+    const enclosing = enclosingName(nodePath) || (name.startsWith("<") ? MODULE_SYMBOL : null);
+    const full = enclosing ? `${enclosing} > ${name}` : name;
+    const count = (seen.get(full) || 0) + 1;
+    seen.set(full, count);
+    if (count === 1) return full;
+    return name.endsWith(">") ? `${full.slice(0, -1)} #${count}>` : `${full} #${count}`;
+  }
+
+  // Name of the nearest symbol whose body contains the node
+  function enclosingName(nodePath) {
+    for (let scope = nodePath.parentPath; scope; scope = scope.parentPath) {
+      if (!FUNCTION_SCOPE_TYPES.includes(scope.node.type) && !CLASS_MEMBER_TYPES.includes(scope.node.type)) continue;
+      const name = nameOf(scope);
+      if (name) return name;
+    }
+    return null;
+  }
+
+  // Class members and object members of named objects
+  function memberNameOf(memberPath) {
+    const { node } = memberPath;
+    if (node.type === "ObjectMethod" || node.type === "ObjectProperty") {
+      // Plain values aren't symbols, but nested objects name their members
+      if (node.type === "ObjectProperty" && !FUNCTION_TYPES.includes(node.value.type) && node.value.type !== "ObjectExpression") {
+        return null;
+      }
+      const key = memberKeyName(node);
+      const owner = key && objectOwnerName(memberPath.parentPath);
+      return owner ? `${owner}.${key}` : null;
+    }
+    const key = node.type === "StaticBlock" ? "<static>" : memberKeyName(node);
+    const className = key && classNameOf(memberPath.parentPath.parentPath);
+    return className ? `${className}.${key}` : null;
+  }
+
+  function classNameOf(classPath) {
+    const { node, parent } = classPath;
+    let name = node.id?.name || null;
+    if (node.type === "ClassExpression" && parent.type === "VariableDeclarator" && parent.id?.type === "Identifier") {
+      name = parent.id.name;
+    } else if (!name && parent.type === "ExportDefaultDeclaration") {
+      name = "default";
+    }
+    if (!name) return null;
+    const enclosing = enclosingName(classPath);
+    return enclosing ? `${enclosing} > ${name}` : name;
+  }
+
+  // The name an object literal is reachable by: its variable, `default` for
+  // a default export (also wrapped, as in `defineComponent({...})`), what
+  // it's assigned to (`module.exports`), or the owning property's name for
+  // nested objects
+  function objectOwnerName(objectPath) {
+    let path = objectPath;
+    while (path.parent.type === "TSAsExpression" || path.parent.type === "TSSatisfiesExpression") path = path.parentPath;
+    const { parent } = path;
+
+    let name = null;
+    if (parent.type === "VariableDeclarator" && parent.id?.type === "Identifier") name = parent.id.name;
+    else if (parent.type === "AssignmentExpression" && parent.right === path.node) name = entityName(parent.left);
+    else if (parent.type === "ExportDefaultDeclaration") return "default";
+    else if (parent.type === "CallExpression" && path.parentPath.parent.type === "ExportDefaultDeclaration") return "default";
+    else if (parent.type === "ObjectProperty" && parent.value === path.node) return memberNameOf(path.parentPath);
+    if (!name) return null;
+
+    const enclosing = enclosingName(path);
+    return enclosing ? `${enclosing} > ${name}` : name;
+  }
+
+  nameOf.memberNameOf = memberNameOf;
+  nameOf.classNameOf = classNameOf;
+  nameOf.enclosingName = enclosingName;
+  return nameOf;
+}
+
+// The member a function is the body of (`load() {}`, `load: () => {}`,
+// `handle = () => {}`), or null
+function memberOf(nodePath) {
+  const { node, parent } = nodePath;
+  if (node.type === "ObjectMethod") return nodePath;
+  if ((parent.type === "ObjectProperty" || CLASS_FIELD_TYPES.includes(parent.type)) && parent.value === node) {
+    return nodePath.parentPath;
+  }
+  return null;
+}
+
+// Own name of a function that isn't a named member: its declaration, the
+// variable or property it's assigned to, or `default`
+function functionName(nodePath) {
+  const { node, parent } = nodePath;
+  if (node.id?.name) return node.id.name;
+  if (node.type === "ObjectMethod" || parent.type === "ObjectProperty") return memberKeyName(memberOf(nodePath).node);
+  if (parent.type === "VariableDeclarator" && parent.id?.type === "Identifier") return parent.id.name;
+  if (parent.type === "AssignmentExpression" && parent.right === node) return entityName(parent.left);
+  if (parent.type === "ExportDefaultDeclaration") return "default";
+  return null;
+}
+
+// What an anonymous function is for: `<callback in .then>`, `<iife>`
+function anonymousLabel(nodePath) {
+  const { node, parent } = nodePath;
+  if (parent.type === "CallExpression" || parent.type === "NewExpression") {
+    if (parent.callee === node) return "<iife>";
+    const { callee } = parent;
+    if (callee.type === "Identifier") return `<callback in ${callee.name}>`;
+    if (callee.type === "MemberExpression" && !callee.computed && callee.property.name) return `<callback in .${callee.property.name}>`;
+    return "<callback>";
+  }
+  return "<anonymous>";
+}
+
+// `foo`, `"foo"` or `#foo`; null for computed keys
+function memberKeyName(node) {
+  if (node.computed) return null;
+  const { key } = node;
+  if (key.type === "Identifier") return key.name;
+  if (key.type === "StringLiteral") return key.value;
+  if (key.type === "PrivateName") return `#${key.id.name}`;
+  return null;
+}
+
+function isExportedDeclaration(nodePath) {
+  let path = nodePath;
+  if (path.parent.type === "VariableDeclarator") path = path.parentPath.parentPath;
+  return path.parent.type === "ExportNamedDeclaration" || path.parent.type === "ExportDefaultDeclaration";
+}
+
 function extractSymbols(ast, filePath, relFile, sourceCode) {
   const symbols = [];
   const calls = [];
+  const membersById = new Map();
+  const nameOf = createSymbolNamer();
+
+  // Symbols declared inside another symbol's body point at it, so the
+  // explorer can fold them into it
+  function withEnclosing(sym, nodePath) {
+    const enclosing = nameOf.enclosingName(nodePath) || (sym.name.startsWith(`${MODULE_SYMBOL} > `) ? MODULE_SYMBOL : null);
+    if (enclosing) sym.enclosing = `${relFile}::${enclosing}`;
+    return sym;
+  }
 
-  traverse(ast, {
-    FunctionDeclaration(nodePath) {
-      if (!nodePath.node.id) return;
-      const params = (nodePath.node.params || []).map(p => {
-        if (p.type === "Identifier") return p.name;
-        if (p.type === "AssignmentPattern" && p.left.type === "Identifier") return p.left.name;
-        return "...";
-      });
-      symbols.push({
-        id: `${relFile}::${nodePath.node.id.name}`,
-        name: nodePath.node.id.name,
-        type: "function",
-        file: relFile,
-        startLine: nodePath.node.loc?.start.line || 0,
-        endLine: nodePath.node.loc?.end.line || 0,
-        params,
-        exported: nodePath.parent.type === "ExportNamedDeclaration" || nodePath.parent.type === "ExportDefaultDeclaration",
-      });
-    },
+  // Class and object members can be declared in parts (a getter and its
+  // setter, several static blocks); those merge into one symbol
+  function addMember(sym) {
+    const existing = membersById.get(sym.id);
+    if (!existing) {
+      membersById.set(sym.id, sym);
+      symbols.push(sym);
+      return false;
+    }
+    existing.startLine = Math.min(existing.startLine, sym.startLine);
+    existing.endLine = Math.max(existing.endLine, sym.endLine);
+    if (sym.accessors) existing.accessors = [...new Set([...(existing.accessors || []), ...sym.accessors])];
+    return true;
+  }
 
-    ArrowFunctionExpression(nodePath) {
-      if (nodePath.parent.type !== "VariableDeclarator" || !nodePath.parent.id?.name) return;
-      const name = nodePath.parent.id.name;
-      const grandParent = nodePath.parentPath?.parent;
-      const params = (nodePath.node.params || []).map(p => {
-        if (p.type === "Identifier") return p.name;
-        if (p.type === "AssignmentPattern" && p.left.type === "Identifier") return p.left.name;
-        return "...";
-      });
-      symbols.push({
+  function addObjectMethod(memberPath, name, fn) {
+    const { node } = memberPath;
+    const owner = name.slice(0, name.lastIndexOf("."));
+    const sym = withEnclosing({
+      id: `${relFile}::${name}`,
+      name,
+      type: "method",
+      file: relFile,
+      startLine: node.loc?.start.line || 0,
+      endLine: node.loc?.end.line || 0,
+      parent: `${relFile}::${owner}`,
+      params: paramNames(fn.params),
+    }, memberPath);
+    if (node.kind === "get" || node.kind === "set") sym.accessors = [node.kind];
+    addMember(sym);
+  }
+
+  traverse(ast, {
+    // Functions, named or anonymous. Members of named objects become methods
+    // (`const api = { load() {} }`, `export default { mounted() {} }`, and
+    // nested ones like `methods: {}`); class members are indexed with their
+    // class below.
+    "FunctionDeclaration|FunctionExpression|ArrowFunctionExpression|ObjectMethod"(nodePath) {
+      const name = nameOf(nodePath);
+      const member = memberOf(nodePath);
+      if (member && nameOf.memberNameOf(member)) {
+        if (!CLASS_FIELD_TYPES.includes(member.node.type)) addObjectMethod(member, name, nodePath.node);
+        return;
+      }
+      const sym = withEnclosing({
         id: `${relFile}::${name}`,
         name,
         type: "function",
         file: relFile,
         startLine: nodePath.node.loc?.start.line || 0,
         endLine: nodePath.node.loc?.end.line || 0,
-        params,
-        exported: grandParent?.type === "ExportNamedDeclaration",
-      });
+        params: paramNames(nodePath.node.params),
+        exported: isExportedDeclaration(nodePath),
+      }, nodePath);
+      // Stored on an object (`{ onChange() {} }`, `el.onclick = ...`), so
+      // whatever holds the object calls it, not its name
+      if (member || nodePath.parent.type === "AssignmentExpression") sym.referenced = true;
+      symbols.push(sym);
     },
 
-    ClassDeclaration(nodePath) {
-      if (!nodePath.node.id) return;
-      const className = nodePath.node.id.name;
+    "ClassDeclaration|ClassExpression"(nodePath) {
+      const className = nameOf.classNameOf(nodePath);
+      if (!className) return;
       const methods = [];
-      for (const member of nodePath.node.body.body) {
-        if (member.type === "ClassMethod" && member.key?.name) {
-          methods.push(member.key.name);
-          const params = (member.params || []).map(p => {
-            if (p.type === "Identifier") return p.name;
-            if (p.type === "AssignmentPattern" && p.left.type === "Identifier") return p.left.name;
-            if (p.type === "RestElement" && p.argument.type === "Identifier") return `...${p.argument.name}`;
-            return "...";
-          });
-          symbols.push({
-            id: `${relFile}::${className}.${member.key.name}`,
-            name: `${className}.${member.key.name}`,
-            type: "method",
-            file: relFile,
-            startLine: member.loc?.start.line || 0,
-            endLine: member.loc?.end.line || 0,
-            parent: `${relFile}::${className}`,
-            params,
-          });
-        }
+      for (const memberPath of nodePath.get("body.body")) {
+        const member = memberPath.node;
+        const name = nameOf(memberPath);
+        if (!name) continue;
+        const memberName = name.slice(className.length + 1);
+
+        const isField = CLASS_FIELD_TYPES.includes(member.type);
+        const isFunction = !isField || FUNCTION_TYPES.includes(member.value?.type);
+        const sym = withEnclosing({
+          id: `${relFile}::${name}`,
+          name,
+          type: isFunction ? "method" : "property",
+          file: relFile,
+          startLine: member.loc?.start.line || 0,
+          endLine: member.loc?.end.line || 0,
+          parent: `${relFile}::${className}`,
+        }, nodePath);
+        if (isFunction) sym.params = paramNames(isField ? member.value.params : member.params);
+        if (member.kind === "get" || member.kind === "set") sym.accessors = [member.kind];
+        if (member.static) sym.static = true;
+
+        if (!addMember(sym) && isFunction) methods.push(memberName);
       }
-      symbols.push({
+      symbols.push(withEnclosing({
         id: `${relFile}::${className}`,
         name: className,
         type: "class",
@@ -572,9 +1265,10 @@ function extractSymbols(ast, filePath, relFile, sourceCode) {
         startLine: nodePath.node.loc?.start.line || 0,
         endLine: nodePath.node.loc?.end.line || 0,
         methods,
-        superClass: nodePath.node.superClass?.name || null,
-        exported: nodePath.parent.type === "ExportNamedDeclaration" || nodePath.parent.type === "ExportDefaultDeclaration",
-      });
+        superClass: entityName(nodePath.node.superClass),
+        implements: (nodePath.node.implements || []).map((i) => entityName(i.expression)).filter(Boolean),
+        exported: isExportedDeclaration(nodePath),
+      }, nodePath));
     },
 
     VariableDeclaration(nodePath) {
@@ -584,10 +1278,8 @@ function extractSymbols(ast, filePath, relFile, sourceCode) {
         if (d.id.name.length < 2) continue;
         // Skip require() calls — those are imports, not symbols
         if (d.init?.type === "CallExpression" && d.init.callee?.name === "require") continue;
-        // Skip arrow functions — handled above
-        if (d.init?.type === "ArrowFunctionExpression") continue;
-        // Skip function expressions — handled separately
-        if (d.init?.type === "FunctionExpression") continue;
+        // Skip functions and classes — handled above
+        if (FUNCTION_TYPES.includes(d.init?.type) || d.init?.type === "ClassExpression") continue;
         symbols.push({
           id: `${relFile}::${d.id.name}`,
           name: d.id.name,
@@ -622,6 +1314,7 @@ function extractSymbols(ast, filePath, relFile, sourceCode) {
         file: relFile,
         startLine: nodePath.node.loc?.start.line || 0,
         endLine: nodePath.node.loc?.end.line || 0,
+        extends: (nodePath.node.extends || []).map((i) => entityName(i.expression)).filter(Boolean),
         exported: nodePath.parent.type === "ExportNamedDeclaration",
       });
     },
@@ -630,12 +1323,16 @@ function extractSymbols(ast, filePath, relFile, sourceCode) {
       const callee = nodePath.node.callee;
       let calledName = null;
       let objectName = null;
+      let member = false;
       if (callee.type === "Identifier") {
         calledName = callee.name;
-      } else if (callee.type === "MemberExpression" && callee.property?.name) {
-        calledName = callee.property.name;
+      } else if (callee.type === "MemberExpression" && (callee.property?.name || callee.property?.type === "PrivateName")) {
+        calledName = callee.property.type === "PrivateName" ? `#${callee.property.id.name}` : callee.property.name;
+        member = true;
         if (callee.object.type === "Identifier") {
           objectName = callee.object.name;
+        } else if (callee.object.type === "ThisExpression") {
+          objectName = "this";
         }
       }
       if (!calledName || calledName === "require") return;
@@ -643,59 +1340,72 @@ function extractSymbols(ast, filePath, relFile, sourceCode) {
       // Extract enclosing if-conditions
       const conditions = getEnclosingConditions(nodePath, sourceCode);
 
-      // Find the enclosing function
-      let scope = nodePath;
-      while (scope) {
-        if (scope.node.type === "FunctionDeclaration" && scope.node.id) {
-          calls.push({ caller: scope.node.id.name, callee: calledName, objectName, conditions, line: nodePath.node.loc?.start.line || 0 });
-          break;
-        }
-        if (scope.node.type === "ArrowFunctionExpression" || scope.node.type === "FunctionExpression") {
-          if (scope.parent?.type === "VariableDeclarator" && scope.parent.id?.name) {
-            calls.push({ caller: scope.parent.id.name, callee: calledName, objectName, conditions, line: nodePath.node.loc?.start.line || 0 });
-            break;
-          }
-        }
-        if (scope.node.type === "ClassMethod" && scope.node.key?.name) {
-          let classScope = scope.parentPath;
-          while (classScope && classScope.node.type !== "ClassDeclaration") classScope = classScope.parentPath;
-          const className = classScope?.node?.id?.name;
-          if (className) {
-            calls.push({ caller: `${className}.${scope.node.key.name}`, callee: calledName, objectName, conditions, line: nodePath.node.loc?.start.line || 0 });
-          }
-          break;
-        }
-        scope = scope.parentPath;
-      }
+      // Where the called name itself sits, for type-aware resolution
+      const nameLoc = (callee.type === "Identifier" ? callee : callee.property).loc?.start;
+      const position = nameLoc ? { line: nameLoc.line, column: nameLoc.column } : null;
+
+      // The caller is the innermost function or member containing the call,
+      // or the module itself for top-level code
+      const caller = nameOf.enclosingName(nodePath) || MODULE_SYMBOL;
+      calls.push({ caller, callee: calledName, objectName, member, conditions, line: nodePath.node.loc?.start.line || 0, position });
     },
   });
 
+  // Files with top-level code get a symbol that owns it, so entry points
+  // like `init(); animate();` show up in the call graph
+  if (calls.some((c) => c.caller === MODULE_SYMBOL) || symbols.some((s) => s.enclosing === `${relFile}::${MODULE_SYMBOL}`)) {
+    symbols.push({
+      id: `${relFile}::${MODULE_SYMBOL}`,
+      name: MODULE_SYMBOL,
+      type: "module",
+      file: relFile,
+      startLine: 1,
+      endLine: ast.loc?.end.line || 1,
+      exported: false,
+    });
+  }
+
   return { symbols, calls };
 }
 
-async function analyzeSymbols(rootDir) {
-  const ignorePattern = IGNORE_DIRS.map((d) => `**/${d}/**`);
-  const patterns = EXTENSIONS.map((ext) => `**/*${ext}`);
-
-  const files = [];
-  for (const pattern of patterns) {
-    const matches = await glob(pattern, { cwd: rootDir, ignore: ignorePattern, absolute: false });
-    files.push(...matches);
-  }
-  const uniqueFiles = [...new Set(files)];
-
+// How sure we are that a call edge points at the right symbol: "exact"
+// edges come from the type checker, "static" ones from names bound in
+// scope or by imports, "heuristic" ones from matching method names alone
+const CONFIDENCE_RANK = { heuristic: 0, static: 1, exact: 2 };
+
+/**
+ * Builds the symbol graph. With `typeAware`, calls are first resolved by
+ * the TypeScript language service (when installed); the name-matching
+ * heuristics only handle the calls it can't resolve. `include` / `exclude`
+ * select files, `onProgress` / `signal` report and cancel, and `cacheRoot`
+ * and `sources` pick what to read, as for analyzeCodebase.
+ */
+async function analyzeSymbols(rootDir, options = {}) {
+  const { typeAware = false, onProgress, signal } = options;
+  const sources = options.sources || (await loadSources(rootDir, options));
+  // HTML pages declare no symbols
+  const uniqueFiles = sources.files.filter((file) => EXTENSIONS.includes(path.extname(file)));
+  const { records } = sources;
+  // call -> target symbol id, or null for calls into code outside the project
+  const typedCalls = typeAware
+    ? await resolveTypedCalls(rootDir, uniqueFiles, records, { onProgress, signal })
+    : new Map();
+
+  const resolver = createResolver(rootDir, { ignoreDirs: IGNORE_DIRS });
   const allSymbols = [];
   const allEdges = [];
   const fileImports = {}; // file -> [{localName, importedName, fromFile}]
+  const reexportTables = new Map(); // file -> buildReexportTable result
+  const step = createYielder(signal);
 
-  // First pass: extract symbols from every file
-  for (const file of uniqueFiles) {
-    const fullPath = path.join(rootDir, file);
-    const ast = parseFile(fullPath);
-    if (!ast) continue;
+  // First pass: collect symbols from every file
+  for (const [i, file] of uniqueFiles.entries()) {
+    await step();
+    onProgress?.({ phase: "symbols", done: i, total: uniqueFiles.length });
+    const record = records[file];
+    if (!record.parsed) continue;
 
-    const sourceCode = fs.readFileSync(fullPath, "utf-8");
-    const { symbols, calls } = extractSymbols(ast, fullPath, file, sourceCode);
+    const { symbols, calls } = record;
     allSymbols.push(...symbols);
 
     // Build intra-file call edges
@@ -712,23 +1422,32 @@ async function analyzeSymbols(rootDir) {
     for (const call of calls) {
       const callerId = symbolNames.get(call.caller);
       if (!callerId) continue;
-      // Try exact name match first
-      let calleeId = symbolNames.get(call.callee);
+      let confidence = "static";
+      let calleeId;
+      if (typedCalls.has(call)) {
+        calleeId = typedCalls.get(call);
+        confidence = "exact";
+      } else {
+        // Try the name as seen from the caller's scope first
+        calleeId = resolveLexical(symbolNames, call);
+      }
       // If no direct match and it was a method call, try matching class methods
-      if (!calleeId && call.objectName) {
+      if (!calleeId && call.member && !typedCalls.has(call)) {
         // Try ClassName.method (if objectName maps to a known class or its instance)
         const candidates = methodsByName.get(call.callee) || [];
-        if (candidates.length === 1) {
-          calleeId = candidates[0].id;
-        } else if (candidates.length > 1) {
-          // If objectName matches a class name (e.g. Player.method), prefer that
-          const exact = candidates.find(c => c.name === `${call.objectName}.${call.callee}`);
-          if (exact) calleeId = exact.id;
-          else calleeId = candidates[0].id; // best guess
+        // If objectName matches a class name (e.g. Player.method), or the call
+        // is on `this` inside one of its methods, prefer that
+        const owner = call.objectName === "this" ? thisOwner(call.caller) : call.objectName;
+        const exact = owner && candidates.find(c => c.name === `${owner}.${call.callee}`);
+        if (exact) {
+          calleeId = exact.id;
+        } else if (candidates.length > 0) {
+          calleeId = candidates[0].id; // best guess
+          confidence = "heuristic";
         }
       }
       if (callerId && calleeId && callerId !== calleeId) {
-        const edge = { source: callerId, target: calleeId, type: "calls" };
+        const edge = { source: callerId, target: calleeId, type: "calls", confidence };
         if (call.conditions && call.conditions.length > 0) {
           edge.conditions = call.conditions;
         }
@@ -736,15 +1455,18 @@ async function analyzeSymbols(rootDir) {
       }
     }
 
-    // Extract imports for cross-file resolution
-    const imports = extractImports(ast, fullPath, rootDir);
+    // Resolve imports for cross-file resolution
+    const imports = resolveImports(record.imports, path.join(rootDir, file), resolver);
+    reexportTables.set(file, buildReexportTable(file, imports, record.exports));
     fileImports[file] = [];
     for (const imp of imports) {
-      if (!imp.resolved) continue;
+      // Re-exported names aren't bound in the re-exporting file
+      if (!imp.resolved || imp.reexport) continue;
       for (const spec of imp.specifiers) {
         fileImports[file].push({
-          localName: spec.name,
+          localName: spec.local || spec.name,
           importedName: spec.type === "default" ? "default" : spec.name,
+          namespace: spec.type === "namespace",
           fromFile: imp.resolved,
         });
       }
@@ -758,68 +1480,88 @@ async function analyzeSymbols(rootDir) {
     symbolByFile[sym.file][sym.name] = sym.id;
   }
 
+  // Imported names are looked up in the file that declares them, following
+  // re-exports through barrel files
+  const exportResolver = createExportResolver(reexportTables, (file, name) => {
+    const lookup = symbolByFile[file];
+    if (!lookup) return null;
+    if (lookup[name]) return name;
+    if (name !== "default") return null;
+    const declared = defaultExportName(records[file].exports || []);
+    return declared && lookup[declared] ? declared : null;
+  });
+
+  // Symbol id an imported binding refers to; with `member`, the id of
+  // `binding.member` (a namespace member or a method). Falls back to
+  // matching names in the imported file itself.
+  function importedSymbolId(imp, member = null) {
+    const resolvedId = resolveImportedSymbol(imp, member, exportResolver, symbolByFile);
+    if (resolvedId) return resolvedId;
+    const targetLookup = symbolByFile[imp.fromFile] || {};
+    if (member) return targetLookup[`${imp.importedName}.${member}`] || targetLookup[`${imp.localName}.${member}`] || null;
+    return targetLookup[imp.importedName] || targetLookup[imp.localName] || null;
+  }
+
   // Second pass: cross-file edges (imports link)
-  for (const file of uniqueFiles) {
+  for (const [i, file] of uniqueFiles.entries()) {
+    await step();
+    onProgress?.({ phase: "linking", done: i, total: uniqueFiles.length });
     const imports = fileImports[file] || [];
     for (const imp of imports) {
-      const targetLookup = symbolByFile[imp.fromFile];
-      if (!targetLookup) continue;
-      // Try to find the imported symbol in the target file
-      const targetId = targetLookup[imp.importedName] || targetLookup[imp.localName];
+      // Try to find the imported symbol where it's declared
+      const targetId = importedSymbolId(imp);
       if (!targetId) continue;
       // Find any symbol in current file that uses this import (link file-level for now)
-      allEdges.push({ source: `${file}::${imp.localName}`, target: targetId, type: "imports" });
+      allEdges.push({ source: `${file}::${imp.localName}`, target: targetId, type: "imports", confidence: "static" });
     }
 
     // Also build cross-file call edges using import mappings
-    const fullPath = path.join(rootDir, file);
-    const ast = parseFile(fullPath);
-    if (!ast) continue;
-    const sourceCode = fs.readFileSync(fullPath, "utf-8");
-    const { calls } = extractSymbols(ast, fullPath, file, sourceCode);
+    const record = records[file];
+    if (!record.parsed) continue;
+    const { calls } = record;
     const localImportMap = {};
     for (const imp of imports) {
       localImportMap[imp.localName] = imp;
     }
     for (const call of calls) {
+      // A method call can be matched against every symbol of the project
+      await step();
       const callerSymbols = symbolByFile[file];
       const callerId = callerSymbols?.[call.caller];
       if (!callerId) continue;
+      // Typed calls were all linked in the first pass
+      if (typedCalls.has(call)) continue;
 
       const conds = (call.conditions && call.conditions.length > 0) ? call.conditions : undefined;
       if (localImportMap[call.callee]) {
         // Direct imported function call: e.g. import { foo } from './bar'; foo()
-        const imp = localImportMap[call.callee];
-        const targetLookup = symbolByFile[imp.fromFile];
-        if (!targetLookup) continue;
-        const targetId = targetLookup[imp.importedName] || targetLookup[imp.localName];
+        const targetId = importedSymbolId(localImportMap[call.callee]);
         if (targetId) {
-          const edge = { source: callerId, target: targetId, type: "calls" };
+          const edge = { source: callerId, target: targetId, type: "calls", confidence: "static" };
           if (conds) edge.conditions = conds;
           allEdges.push(edge);
         }
       } else if (call.objectName && localImportMap[call.objectName]) {
         // Method call on an imported object: e.g. import player from './player'; player.draw()
         const imp = localImportMap[call.objectName];
-        const targetLookup = symbolByFile[imp.fromFile];
-        if (!targetLookup) continue;
-        const targetId = targetLookup[`${imp.importedName}.${call.callee}`]
-          || targetLookup[`${imp.localName}.${call.callee}`]
-          || targetLookup[call.callee];
+        const memberId = importedSymbolId(imp, call.callee);
+        const targetId = memberId || symbolByFile[imp.fromFile]?.[call.callee];
         if (targetId) {
-          const edge = { source: callerId, target: targetId, type: "calls" };
+          const confidence = memberId ? "static" : "heuristic";
+          const edge = { source: callerId, target: targetId, type: "calls", confidence };
           if (conds) edge.conditions = conds;
           allEdges.push(edge);
         }
-      } else if (call.objectName) {
-        // Method call on a non-imported object — try to find matching methods across all files
+      } else if (call.member && !(call.objectName === "this" && callerSymbols[`${thisOwner(call.caller)}.${call.callee}`])) {
+        // Method call on a non-imported object (or on `this`, calling an
+        // inherited method) — try to find matching methods across all files
         for (const targetFile of Object.keys(symbolByFile)) {
           const targetLookup = symbolByFile[targetFile];
           for (const symName of Object.keys(targetLookup)) {
             if (symName.endsWith(`.${call.callee}`) && symName.includes(".")) {
               const targetId = targetLookup[symName];
               if (targetId && targetId !== callerId) {
-                const edge = { source: callerId, target: targetId, type: "calls" };
+                const edge = { source: callerId, target: targetId, type: "calls", confidence: "heuristic" };
                 if (conds) edge.conditions = conds;
                 allEdges.push(edge);
               }
@@ -830,14 +1572,37 @@ async function analyzeSymbols(rootDir) {
     }
   }
 
-  // Deduplicate edges (merge conditions from duplicate edges)
+  // Inheritance edges: class extends / implements, interface extends
+  for (const sym of allSymbols) {
+    await step();
+    const parents = [];
+    if (sym.type === "class") {
+      if (sym.superClass) parents.push({ name: sym.superClass, type: "extends" });
+      for (const name of sym.implements || []) parents.push({ name, type: "implements" });
+    } else if (sym.type === "interface") {
+      for (const name of sym.extends || []) parents.push({ name, type: "extends" });
+    }
+
+    for (const { name, type } of parents) {
+      const targetId = resolveSymbolReference(name, sym.file, symbolByFile, fileImports[sym.file] || [], importedSymbolId);
+      if (targetId && targetId !== sym.id) allEdges.push({ source: sym.id, target: targetId, type, confidence: "static" });
+    }
+  }
+
+  // Deduplicate edges (merge conditions from duplicate edges, keep the
+  // highest confidence)
   const edgeMap2 = new Map();
   for (const edge of allEdges) {
     const key = `${edge.source}|${edge.target}|${edge.type}`;
     if (!edgeMap2.has(key)) {
       edgeMap2.set(key, { ...edge });
-    } else if (edge.conditions) {
-      const existing = edgeMap2.get(key);
+      continue;
+    }
+    const existing = edgeMap2.get(key);
+    if (CONFIDENCE_RANK[edge.confidence] > CONFIDENCE_RANK[existing.confidence]) {
+      existing.confidence = edge.confidence;
+    }
+    if (edge.conditions) {
       if (!existing.conditions) existing.conditions = [];
       // Add new conditions that aren't already present
       for (const c of edge.conditions) {
@@ -856,6 +1621,106 @@ async function analyzeSymbols(rootDir) {
   return { symbols: allSymbols, edges: validEdges, files: uniqueFiles };
 }
 
+// The class or object `this` refers to in a call from `caller`: `Player`
+// for calls from `Player.update` and the callbacks nested in it
+function thisOwner(caller) {
+  const top = caller.split(" > ")[0];
+  return top.includes(".") ? top.slice(0, top.lastIndexOf(".")) : null;
+}
+
+// The symbol a call's name refers to from the caller's scope: a function
+// declared in the caller or one of its enclosing functions, else a
+// top-level one. Calls on `this` only ever reach members.
+function resolveLexical(symbolNames, call) {
+  if (call.objectName === "this") return null;
+  if (!call.objectName) {
+    const scopes = call.caller.split(" > ");
+    for (let i = scopes.length; i > 0; i--) {
+      const id = symbolNames.get(`${scopes.slice(0, i).join(" > ")} > ${call.callee}`);
+      if (id) return id;
+    }
+  }
+  return symbolNames.get(call.callee);
+}
+
+// Resolves every call with the TypeScript language service. Returns a Map
+// of call -> target symbol id, or null when the callee is declared outside
+// the project (a built-in or a package), so name matching can't mislink it.
+// Calls the checker can't resolve, or that land on something we don't
+// index, are left out for the heuristics. Goes one file at a time, reporting
+// progress and stopping once `signal` is aborted, like the other phases.
+async function resolveTypedCalls(rootDir, files, records, { onProgress, signal } = {}) {
+  const typedCalls = new Map();
+  const parsedFiles = files.filter((file) => records[file].parsed);
+  onProgress?.({ phase: "typing", done: 0, total: parsedFiles.length });
+  const typeResolver = createTypeResolver(rootDir, parsedFiles);
+  if (!typeResolver) return typedCalls;
+
+  const symbolsByFile = new Map(parsedFiles.map((file) => [file, records[file].symbols]));
+  const step = createYielder(signal);
+  for (const [i, file] of parsedFiles.entries()) {
+    await step();
+    onProgress?.({ phase: "typing", done: i, total: parsedFiles.length });
+    for (const call of records[file].calls) {
+      const definition = typeResolver.resolveCall(file, call.position);
+      if (definition === undefined) continue;
+      if (definition === null) {
+        typedCalls.set(call, null);
+        continue;
+      }
+      const target = symbolAt(symbolsByFile.get(definition.file) || [], definition);
+      if (target) typedCalls.set(call, target.id);
+    }
+  }
+  return typedCalls;
+}
+
+// The innermost symbol named `name` whose body contains `line`
+function symbolAt(symbols, { line, name }) {
+  let best = null;
+  for (const sym of symbols) {
+    if (localName(sym.name) !== name) continue;
+    if (line < sym.startLine || line > sym.endLine) continue;
+    if (!best || sym.endLine - sym.startLine < best.endLine - best.startLine) best = sym;
+  }
+  return best;
+}
+
+// Symbol id for a name as used in `file` (`Base` or `ns.Base`): a symbol
+// declared in the file itself, or one it imports (see importedSymbolId)
+function resolveSymbolReference(name, file, symbolByFile, imports, importedSymbolId) {
+  const [head, ...rest] = name.split(".");
+  const member = rest.join(".");
+
+  const local = symbolByFile[file]?.[name];
+  if (local) return local;
+
+  const imp = imports.find((i) => i.localName === head);
+  if (!imp) return null;
+  return importedSymbolId(imp, member || null);
+}
+
+// Symbol id behind an imported binding (`{ localName, importedName,
+// namespace, fromFile }`), found through re-export chains; with `member`,
+// the id of `binding.member`
+function resolveImportedSymbol(imp, member, exportResolver, symbolByFile) {
+  let target = imp.namespace ? { namespace: imp.fromFile } : exportResolver.resolve(imp.fromFile, imp.importedName);
+  if (target?.namespace) {
+    // `ns.fn` through `import * as ns` or `export * as ns`
+    if (!member) return null;
+    target = exportResolver.resolve(target.namespace, member);
+    member = null;
+  }
+  if (!target || target.namespace) return null;
+  return symbolByFile[target.file]?.[member ? `${target.name}.${member}` : target.name] || null;
+}
+
+// Declared name behind a file's default export (`export default Player`,
+// `module.exports = api`), if any
+function defaultExportName(exports) {
+  return exports.find((e) => e.type === "default" || e.type === "cjs-default")?.name || null;
+}
+
 // CLI mode
 if (require.main === module) {
   const targetDir = process.argv[2] || process.cwd();
@@ -869,4 +1734,14 @@ if (require.main === module) {
   });
 }
 
-module.exports = { analyzeCodebase, analyzeSymbols };
+// extractFileRecord is for the parse pool's workers (see parse-worker.js)
+module.exports = {
+  analyzeCodebase,
+  analyzeSymbols,
+  loadSources,
+  updateSources,
+  extractFileRecord,
+  ALL_EXTENSIONS,
+  IGNORE_DIRS,
+  PARSER_FINGERPRINT,
+};
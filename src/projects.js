@@ -0,0 +1,206 @@
+const path = require("path");
+const { analyzeCodebase, analyzeSymbols, loadSources, updateSources, ALL_EXTENSIONS, IGNORE_DIRS } = require("./parser");
+const { watchCodebase } = require("./watch");
+const { diffGraphs, diffSymbols, isEmptyDiff } = require("./diff");
+const { resolveRevision, listRevisions, checkoutRevision } = require("./revisions");
+
+// Past revisions kept in memory per project
+const MAX_CACHED_REVISIONS = 30;
+
+/**
+ * Keeps every analyzed codebase as a named project, so several roots can
+ * be explored side by side on one server. Each project has its own graph,
+ * symbols and file watcher. `onEvent(event, data)` receives live-update
+ * events; their payloads carry the project id.
+ */
+function createProjectStore({ onEvent }) {
+  const projects = new Map(); // id -> project
+  let latestId = null;
+
+  // Analyze (or re-analyze) a root. `name` labels the project; the remaining
+  // options go to analyzeCodebase and analyzeSymbols. `run` carries the
+  // onProgress / signal of this one run, which the project doesn't keep.
+  async function analyze(rootDir, { name, ...options } = {}, run = {}) {
+    const root = path.resolve(rootDir);
+    const sources = await loadSources(root, { ...options, ...run });
+    const graph = await analyzeCodebase(root, { ...options, ...run, sources });
+    const symbols = await analyzeSymbols(root, { ...options, ...run, sources });
+
+    const existing = findByRoot(root);
+    const id = existing ? existing.id : uniqueId(root);
+    if (existing) existing.watcher?.close();
+    const project = {
+      id,
+      name: name || existing?.name || path.basename(root) || root,
+      root,
+      options,
+      graph,
+      symbols,
+      sources, // kept so re-analysis only reads the files that changed
+      analyzedAt: new Date().toISOString(),
+      reanalyzing: false,
+      pendingChanges: new Set(), // files changed since the last (re-)analysis started
+      revisions: existing?.revisions || new Map(), // commit SHA -> Promise<analysis>
+    };
+    project.watcher = startWatching(project);
+    projects.set(id, project);
+    latestId = id;
+    return project;
+  }
+
+  /**
+   * Adds a project from a saved snapshot (see snapshots.js). It shows the
+   * analysis as saved, so it isn't watched, and the code panel reads the
+   * files the snapshot carries rather than the disk.
+   */
+  function load(snapshot) {
+    const id = uniqueId(snapshot.root);
+    const project = {
+      id,
+      name: snapshot.name,
+      root: snapshot.root,
+      options: snapshot.options || {},
+      graph: snapshot.graph,
+      symbols: snapshot.symbols,
+      files: snapshot.files || {},
+      analyzedAt: snapshot.analyzedAt,
+      snapshot: { createdAt: snapshot.createdAt, gitSha: snapshot.gitSha, parserVersion: snapshot.parserVersion },
+      watcher: null,
+      revisions: new Map(),
+    };
+    projects.set(id, project);
+    latestId = id;
+    return project;
+  }
+
+  // The project with `id`, or the most recently analyzed one when no id is given
+  function get(id) {
+    return projects.get(id || latestId) || null;
+  }
+
+  /**
+   * Graph and symbols of `project` as of a commit, tag or branch, analyzed
+   * from a snapshot of the git objects rather than the working tree.
+   * Resolves to `{ sha, root, graph, symbols }`, where `root` is the
+   * snapshot directory.
+   */
+  async function atRevision(project, rev) {
+    if (project.snapshot) {
+      throw new Error(`No revisions in ${project.name}: it was loaded from a snapshot`);
+    }
+    const sha = await resolveRevision(project.root, rev);
+    let pending = project.revisions.get(sha);
+    if (!pending) {
+      pending = analyzeRevision(project, sha);
+      project.revisions.set(sha, pending);
+      if (project.revisions.size > MAX_CACHED_REVISIONS) {
+        project.revisions.delete(project.revisions.keys().next().value);
+      }
+    }
+
+    try {
+      return await pending;
+    } catch (err) {
+      project.revisions.delete(sha);
+      throw err;
+    }
+  }
+
+  async function analyzeRevision(project, sha) {
+    const root = await checkoutRevision(project.root, sha, { extensions: ALL_EXTENSIONS, ignoreDirs: IGNORE_DIRS });
+    // The snapshot is not a work tree, so there is no history to annotate.
+    // Most files are the same as in the work tree: share its parse cache.
+    const options = { ...project.options, cacheRoot: project.root };
+    const sources = await loadSources(root, options);
+    const graph = await analyzeCodebase(root, { ...options, history: false, sources });
+    const symbols = await analyzeSymbols(root, { ...options, sources });
+    return { sha, root, graph, symbols };
+  }
+
+  // Commits that touched the project root, newest first. A snapshot is one
+  // moment, so it has no timeline.
+  async function revisionsOf(project, options) {
+    if (project.snapshot) return [];
+    return listRevisions(project.root, options);
+  }
+
+  function list() {
+    return [...projects.values()].map(summarize);
+  }
+
+  function summarize(project) {
+    return {
+      id: project.id,
+      name: project.name,
+      root: project.root,
+      files: project.graph.nodes.filter((n) => !n.external).length,
+      edges: project.graph.edges.length,
+      symbols: project.symbols.symbols.length,
+      analyzedAt: project.analyzedAt,
+      snapshot: project.snapshot || null,
+    };
+  }
+
+  // The live project analyzed from `root`; loaded snapshots don't count
+  function findByRoot(root) {
+    for (const project of projects.values()) {
+      if (project.root === root && !project.snapshot) return project;
+    }
+    return null;
+  }
+
+  // Readable ids from the folder name: "my-app", then "my-app-2", ...
+  function uniqueId(root) {
+    const base = path.basename(root).toLowerCase().replace(/[^a-z0-9._-]+/g, "-") || "project";
+    let id = base;
+    for (let n = 2; projects.has(id); n++) id = `${base}-${n}`;
+    return id;
+  }
+
+  function startWatching(project) {
+    return watchCodebase(project.root, { extensions: ALL_EXTENSIONS, ignoreDirs: IGNORE_DIRS }, (files) => {
+      console.log(`Changed in ${project.id}: ${files.join(", ")}`);
+      onEvent("files-changed", { project: project.id, files });
+      reanalyze(project, files);
+    });
+  }
+
+  // Re-reads only the `files` that changed (edited, added or deleted), links
+  // both graphs again from the kept records and pushes only what changed.
+  // Changes arriving mid-run trigger one more pass.
+  async function reanalyze(project, files) {
+    for (const file of files) project.pendingChanges.add(file);
+    if (project.reanalyzing) return;
+    project.reanalyzing = true;
+    const changed = [...project.pendingChanges];
+    project.pendingChanges.clear();
+
+    try {
+      const sources = await updateSources(project.root, project.sources, changed, project.options);
+      const graph = await analyzeCodebase(project.root, { ...project.options, sources });
+      const symbols = await analyzeSymbols(project.root, { ...project.options, sources });
+      if (projects.get(project.id) !== project) return; // re-analyzed from scratch meanwhile
+
+      const graphDiff = diffGraphs(project.graph, graph);
+      const symbolsDiff = diffSymbols(project.symbols, symbols);
+      project.sources = sources;
+      project.graph = graph;
+      project.symbols = symbols;
+
+      if (!isEmptyDiff(graphDiff)) onEvent("graph-diff", { project: project.id, ...graphDiff });
+      if (!isEmptyDiff(symbolsDiff)) onEvent("symbols-diff", { project: project.id, ...symbolsDiff });
+    } catch (err) {
+      console.error(`Re-analysis of ${project.id} failed:`, err.message);
+      // Read them again with the next change rather than keep stale records
+      for (const file of changed) project.pendingChanges.add(file);
+      return;
+    } finally {
+      project.reanalyzing = false;
+    }
+    if (project.pendingChanges.size > 0) reanalyze(project, []);
+  }
+
+  return { analyze, load, get, list, summarize, atRevision, revisionsOf };
+}
+
+module.exports = { createProjectStore };
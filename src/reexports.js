@@ -0,0 +1,89 @@
+// Following re-exports (`export { a as b } from`, `export * from`,
+// `export * as ns from`, and re-exported imports) back to the file that
+// actually declares a name, so lookups through barrel files reach the
+// implementation.
+
+/**
+ * Re-export table of one file, from its resolved imports (see
+ * resolveImports) and its extractExports entries:
+ *   named: exported name -> { from, imported } or { from, namespace: true }
+ *   stars: files re-exported with `export * from`
+ * Also covers `import { a } from "./a"; export { a as b }` and local
+ * aliases like `export { a as b }`, which point back at `file` itself.
+ */
+function buildReexportTable(file, imports, exports) {
+  const named = new Map();
+  const stars = [];
+  const bindings = new Map(); // local name -> where the imported binding comes from
+
+  for (const imp of imports) {
+    if (!imp.resolved) continue;
+    for (const spec of imp.specifiers) {
+      const source = spec.type === "namespace"
+        ? { from: imp.resolved, namespace: true }
+        : { from: imp.resolved, imported: spec.type === "default" ? "default" : spec.name };
+
+      if (!imp.reexport) {
+        if (spec.type === "named" || spec.type === "default" || spec.type === "namespace") {
+          bindings.set(spec.local || spec.name, source);
+        }
+      } else if (spec.type === "star") {
+        stars.push(imp.resolved);
+      } else {
+        named.set(spec.exported || spec.name, source);
+      }
+    }
+  }
+
+  for (const exp of exports) {
+    if (exp.type !== "re-export" || !exp.local || named.has(exp.name)) continue;
+    const binding = bindings.get(exp.local);
+    if (binding) named.set(exp.name, binding);
+    else if (exp.local !== exp.name) named.set(exp.name, { from: file, imported: exp.local });
+  }
+
+  return { named, stars };
+}
+
+/**
+ * Resolves exported names across files. `tables` maps files to their
+ * buildReexportTable result; `defines(file, name)` returns the name of the
+ * declaration `file` exports as `name` (e.g. the class behind "default"),
+ * or null when the file doesn't declare it itself.
+ *
+ * `resolve(file, name)` yields `{ file, name }` for a declaration,
+ * `{ namespace: file }` for a namespace re-export, or null.
+ */
+function createExportResolver(tables, defines) {
+  const memo = new Map();
+
+  function resolve(file, name, visiting = new Set()) {
+    const key = `${file}\0${name}`;
+    if (memo.has(key)) return memo.get(key);
+    if (visiting.has(key)) return null; // re-export cycle
+    visiting.add(key);
+
+    let result = null;
+    const declared = defines(file, name);
+    const table = tables.get(file);
+    if (declared) {
+      result = { file, name: declared };
+    } else if (table?.named.has(name)) {
+      const entry = table.named.get(name);
+      result = entry.namespace ? { namespace: entry.from } : resolve(entry.from, entry.imported, visiting);
+    } else if (table && name !== "default") {
+      // `export *` never re-exports a default
+      for (const from of table.stars) {
+        result = resolve(from, name, visiting);
+        if (result) break;
+      }
+    }
+
+    memo.set(key, result);
+    return result;
+  }
+
+  return { resolve };
+}
+
+module.exports = { buildReexportTable, createExportResolver };
@@ -0,0 +1,488 @@
+const fs = require("fs");
+const path = require("path");
+const { globSync } = require("glob");
+
+const EXTENSIONS = [".js", ".jsx", ".ts", ".tsx", ".mjs", ".cjs"];
+
+// Conditions we accept when picking a target out of package.json "imports"/"exports"
+const CONDITIONS = ["import", "require", "module", "node", "browser", "development", "types", "default"];
+
+/**
+ * Creates a module resolver for a codebase rooted at `rootDir`.
+ * Understands relative paths, tsconfig/jsconfig `baseUrl` + `paths` (following
+ * `extends` chains), package.json `imports` ("#internal/...") maps and
+ * npm/yarn/pnpm workspace packages imported by name. Config files are looked
+ * up from the importing file upwards, so nested packages with their own
+ * tsconfig resolve against their own aliases.
+ *
+ * `ignoreDirs` lists folders that are never analyzed (dist, build, ...);
+ * workspace entry points inside them are skipped in favour of source files.
+ */
+function createResolver(rootDir, { ignoreDirs = [] } = {}) {
+  const tsConfigByDir = new Map();
+  const pkgByDir = new Map();
+  const workspaces = loadWorkspaces(rootDir);
+
+  function resolve(source, fromFile) {
+    if (source.startsWith(".") || source.startsWith("/")) {
+      return firstExisting(path.resolve(path.dirname(fromFile), source));
+    }
+
+    if (source.startsWith("#")) {
+      const fromImports = resolvePackageImports(source, fromFile);
+      if (fromImports) return fromImports;
+    }
+
+    return resolveTsPaths(source, fromFile) || resolveWorkspacePackage(source);
+  }
+
+  function resolvePackageImports(source, fromFile) {
+    const pkg = findUp(path.dirname(fromFile), pkgByDir, (dir) => readPackageJson(dir));
+    if (!pkg || !pkg.json.imports) return null;
+
+    for (const target of matchSubpathMap(pkg.json.imports, source)) {
+      const resolved = firstExisting(path.resolve(pkg.dir, target));
+      if (resolved) return resolved;
+    }
+    return null;
+  }
+
+  function resolveWorkspacePackage(source) {
+    const { name, subpath } = splitPackageSpecifier(source);
+    const pkg = workspaces.get(name);
+    if (!pkg) return null;
+
+    const targets = [];
+    if (pkg.json.exports != null) {
+      targets.push(...resolvePackageExports(pkg.json.exports, subpath));
+    }
+    if (subpath === ".") {
+      for (const field of ["source", "module", "main"]) {
+        if (typeof pkg.json[field] === "string") targets.push(pkg.json[field]);
+      }
+      targets.push("index", "src/index");
+    } else if (pkg.json.exports == null) {
+      targets.push(subpath, path.join("src", subpath));
+    }
+
+    for (const target of targets) {
+      const resolved = firstExisting(path.resolve(pkg.dir, target));
+      if (resolved && !isIgnored(resolved)) return resolved;
+    }
+    return null;
+  }
+
+  // Name of the workspace package that contains `relFile`, if any
+  function packageOf(relFile) {
+    const abs = path.resolve(rootDir, relFile);
+    let best = null;
+    for (const [name, pkg] of workspaces) {
+      if (isInside(pkg.dir, abs) && (!best || pkg.dir.length > best.dir.length)) {
+        best = { name, dir: pkg.dir };
+      }
+    }
+    return best ? best.name : null;
+  }
+
+  /**
+   * Files the root package and every workspace package name as entry
+   * points: "main", "module", "source", "browser", "bin", every "exports"
+   * target, and source files run by its "scripts" (`node src/server.js`).
+   */
+  function entryPoints() {
+    const found = new Set();
+    const rootPkg = readPackageJson(rootDir);
+    for (const pkg of [rootPkg, ...workspaces.values()]) {
+      if (!pkg) continue;
+      const { json } = pkg;
+      const targets = [];
+      for (const field of ["main", "module", "source", "browser"]) {
+        if (typeof json[field] === "string") targets.push(json[field]);
+      }
+      if (typeof json.bin === "string") targets.push(json.bin);
+      else if (json.bin && typeof json.bin === "object") targets.push(...Object.values(json.bin));
+      if (json.exports != null) targets.push(...allExportTargets(json.exports));
+      for (const script of Object.values(json.scripts || {})) {
+        if (typeof script !== "string") continue;
+        targets.push(...script.split(/\s+/).filter((word) => EXTENSIONS.includes(path.extname(word))));
+      }
+
+      for (const target of targets) {
+        if (typeof target !== "string" || target.includes("*")) continue;
+        const resolved = firstExisting(path.resolve(pkg.dir, target));
+        if (resolved && !isIgnored(resolved)) found.add(resolved);
+      }
+    }
+    return [...found].sort();
+  }
+
+  function isIgnored(relFile) {
+    return relFile.split(path.sep).some((part) => ignoreDirs.includes(part));
+  }
+
+  function resolveTsPaths(source, fromFile) {
+    const config = findUp(path.dirname(fromFile), tsConfigByDir, (dir) => loadTsConfig(dir));
+    if (!config) return null;
+
+    if (config.paths) {
+      for (const target of matchTsPaths(config.paths, source)) {
+        const resolved = firstExisting(path.resolve(config.pathsBase, target));
+        if (resolved) return resolved;
+      }
+    }
+
+    if (config.baseUrl) {
+      return firstExisting(path.resolve(config.baseUrl, source));
+    }
+
+    return null;
+  }
+
+  // Walk from `dir` up to rootDir, returning the first directory's loaded config.
+  // Results are memoized per directory so each config is read at most once.
+  function findUp(dir, cache, load) {
+    const visited = [];
+    let current = dir;
+    let found = null;
+    while (true) {
+      if (cache.has(current)) {
+        found = cache.get(current);
+        break;
+      }
+      visited.push(current);
+      const loaded = load(current);
+      if (loaded) {
+        found = loaded;
+        break;
+      }
+      const parent = path.dirname(current);
+      if (parent === current || current === rootDir || !isInside(rootDir, parent)) break;
+      current = parent;
+    }
+    for (const d of visited) cache.set(d, found);
+    return found;
+  }
+
+  function firstExisting(base) {
+    for (const candidate of getCandidates(base)) {
+      if (isFile(candidate)) return path.relative(rootDir, candidate);
+    }
+    return null;
+  }
+
+  return { resolve, packageOf, entryPoints, workspaces, rootDir };
+}
+
+function getCandidates(base) {
+  const candidates = [base];
+  for (const ext of EXTENSIONS) {
+    candidates.push(base + ext);
+  }
+  // Directory index files
+  for (const ext of EXTENSIONS) {
+    candidates.push(path.join(base, "index" + ext));
+  }
+  return candidates;
+}
+
+// ─── tsconfig / jsconfig ──────────────────────────────────────────
+
+function loadTsConfig(dir) {
+  for (const name of ["tsconfig.json", "jsconfig.json"]) {
+    const file = path.join(dir, name);
+    if (isFile(file)) return readTsConfigChain(file, new Set());
+  }
+  return null;
+}
+
+/**
+ * Reads a tsconfig and everything it `extends`, returning the effective
+ * `baseUrl` and `paths` as absolute locations. `paths` entries are relative
+ * to `baseUrl` when set, otherwise to the config file that declared them.
+ */
+function readTsConfigChain(file, seen) {
+  if (seen.has(file)) return null;
+  seen.add(file);
+
+  const json = readJsonc(file);
+  if (!json) return null;
+
+  const dir = path.dirname(file);
+  let result = { baseUrl: null, paths: null, pathsDir: null, pathsBase: null };
+
+  const parents = Array.isArray(json.extends) ? json.extends : json.extends ? [json.extends] : [];
+  for (const ext of parents) {
+    const parentFile = resolveExtends(ext, dir);
+    const parent = parentFile && readTsConfigChain(parentFile, seen);
+    if (parent) result = mergeTsConfig(result, parent);
+  }
+
+  const options = json.compilerOptions || {};
+  if (typeof options.baseUrl === "string") {
+    result.baseUrl = path.resolve(dir, options.baseUrl);
+  }
+  if (options.paths && typeof options.paths === "object") {
+    result.paths = options.paths;
+    result.pathsDir = dir;
+  }
+  if (result.paths) {
+    result.pathsBase = result.baseUrl || result.pathsDir;
+  }
+
+  return result;
+}
+
+function mergeTsConfig(base, parent) {
+  return {
+    baseUrl: parent.baseUrl || base.baseUrl,
+    paths: parent.paths || base.paths,
+    pathsDir: parent.paths ? parent.pathsDir : base.pathsDir,
+    pathsBase: parent.paths ? parent.pathsBase : base.pathsBase,
+  };
+}
+
+function resolveExtends(spec, fromDir) {
+  const candidates = [];
+  if (spec.startsWith(".") || path.isAbsolute(spec)) {
+    const abs = path.resolve(fromDir, spec);
+    candidates.push(abs, abs + ".json", path.join(abs, "tsconfig.json"));
+  } else {
+    // Package-provided base config, e.g. "@tsconfig/node18/tsconfig.json"
+    let dir = fromDir;
+    while (true) {
+      const abs = path.join(dir, "node_modules", spec);
+      candidates.push(abs, abs + ".json", path.join(abs, "tsconfig.json"));
+      const parent = path.dirname(dir);
+      if (parent === dir) break;
+      dir = parent;
+    }
+  }
+  return candidates.find(isFile) || null;
+}
+
+/**
+ * Returns the substituted targets for the most specific `paths` pattern
+ * matching `source`: exact keys win, then the longest prefix before `*`.
+ */
+function matchTsPaths(paths, source) {
+  if (Array.isArray(paths[source])) return paths[source];
+
+  let best = null;
+  let bestPrefixLen = -1;
+  for (const pattern of Object.keys(paths)) {
+    const star = pattern.indexOf("*");
+    if (star === -1) continue;
+    const prefix = pattern.slice(0, star);
+    const suffix = pattern.slice(star + 1);
+    if (
+      source.length >= prefix.length + suffix.length &&
+      source.startsWith(prefix) &&
+      source.endsWith(suffix) &&
+      prefix.length > bestPrefixLen
+    ) {
+      best = { pattern, wildcard: source.slice(prefix.length, source.length - suffix.length) };
+      bestPrefixLen = prefix.length;
+    }
+  }
+  if (!best || !Array.isArray(paths[best.pattern])) return [];
+  return paths[best.pattern].map((t) => t.replace("*", best.wildcard));
+}
+
+// ─── package.json "imports" / "exports" ──────────────────────────
+
+function readPackageJson(dir) {
+  const file = path.join(dir, "package.json");
+  if (!isFile(file)) return null;
+  const json = readJsonc(file);
+  return json ? { dir, json } : null;
+}
+
+/**
+ * Resolves `request` against a Node subpath map (the shape shared by
+ * package.json "imports" and "exports"). Returns every candidate target
+ * (relative to the package directory) in condition order; empty when
+ * nothing matches.
+ */
+function matchSubpathMap(map, request) {
+  if (Object.prototype.hasOwnProperty.call(map, request) && !request.includes("*")) {
+    return collectTargets(map[request], null, []);
+  }
+
+  let best = null;
+  let bestPrefixLen = -1;
+  for (const key of Object.keys(map)) {
+    const star = key.indexOf("*");
+    if (star === -1) continue;
+    const prefix = key.slice(0, star);
+    const suffix = key.slice(star + 1);
+    if (
+      request.length >= prefix.length + suffix.length &&
+      request.startsWith(prefix) &&
+      request.endsWith(suffix) &&
+      prefix.length > bestPrefixLen
+    ) {
+      best = { key, wildcard: request.slice(prefix.length, request.length - suffix.length) };
+      bestPrefixLen = prefix.length;
+    }
+  }
+  return best ? collectTargets(map[best.key], best.wildcard, []) : [];
+}
+
+// "exports" is either a subpath map ({ ".": ..., "./utils": ... }) or a bare
+// target / condition object that only describes the "." entry.
+function resolvePackageExports(exportsField, subpath) {
+  if (exportsField && typeof exportsField === "object" && !Array.isArray(exportsField)) {
+    const keys = Object.keys(exportsField);
+    if (keys.length > 0 && keys.every((k) => k.startsWith("."))) {
+      return matchSubpathMap(exportsField, subpath);
+    }
+  }
+  return subpath === "." ? collectTargets(exportsField, null, []) : [];
+}
+
+// Every target "exports" maps to, across all subpaths and conditions
+function allExportTargets(exportsField) {
+  const isSubpathMap = exportsField && typeof exportsField === "object" && !Array.isArray(exportsField)
+    && Object.keys(exportsField).some((k) => k.startsWith("."));
+  const values = isSubpathMap ? Object.values(exportsField) : [exportsField];
+  return values.flatMap((value) => collectTargets(value, null, []));
+}
+
+function collectTargets(value, wildcard, out) {
+  if (typeof value === "string") {
+    out.push(wildcard == null ? value : value.split("*").join(wildcard));
+  } else if (Array.isArray(value)) {
+    for (const v of value) collectTargets(v, wildcard, out);
+  } else if (value && typeof value === "object") {
+    for (const cond of Object.keys(value)) {
+      if (CONDITIONS.includes(cond)) collectTargets(value[cond], wildcard, out);
+    }
+  }
+  return out;
+}
+
+// "@scope/pkg/sub/path" -> { name: "@scope/pkg", subpath: "./sub/path" }
+function splitPackageSpecifier(source) {
+  const parts = source.split("/");
+  const nameLen = source.startsWith("@") ? 2 : 1;
+  const name = parts.slice(0, nameLen).join("/");
+  const rest = parts.slice(nameLen).join("/");
+  return { name, subpath: rest ? `./${rest}` : "." };
+}
+
+// ─── Workspaces ───────────────────────────────────────────────────
+
+/**
+ * Maps workspace package names to their folders, using the root
+ * package.json `workspaces` field (npm/yarn) and pnpm-workspace.yaml.
+ */
+function loadWorkspaces(rootDir) {
+  const packages = new Map();
+  const rootPkg = readPackageJson(rootDir);
+  const declared = rootPkg?.json.workspaces;
+
+  const patterns = [];
+  if (Array.isArray(declared)) patterns.push(...declared);
+  else if (declared && Array.isArray(declared.packages)) patterns.push(...declared.packages);
+  patterns.push(...readPnpmWorkspacePatterns(rootDir));
+
+  const toManifestGlob = (p) => p.replace(/\/+$/, "") + "/package.json";
+  const include = patterns.filter((p) => !p.startsWith("!")).map(toManifestGlob);
+  const exclude = patterns.filter((p) => p.startsWith("!")).map((p) => toManifestGlob(p.slice(1)));
+
+  for (const pattern of include) {
+    const manifests = globSync(pattern, { cwd: rootDir, ignore: ["**/node_modules/**", ...exclude] });
+    for (const manifest of manifests.sort()) {
+      const pkg = readPackageJson(path.join(rootDir, path.dirname(manifest)));
+      if (pkg?.json.name && !packages.has(pkg.json.name)) {
+        packages.set(pkg.json.name, pkg);
+      }
+    }
+  }
+
+  return packages;
+}
+
+// Just enough YAML to read the `packages:` list out of pnpm-workspace.yaml
+function readPnpmWorkspacePatterns(rootDir) {
+  const file = path.join(rootDir, "pnpm-workspace.yaml");
+  if (!isFile(file)) return [];
+
+  const patterns = [];
+  let inPackages = false;
+  for (const raw of fs.readFileSync(file, "utf-8").split("\n")) {
+    const line = raw.replace(/\s+#.*$/, "").replace(/^#.*$/, "").trimEnd();
+    if (!line.trim()) continue;
+
+    if (/^\S/.test(line)) {
+      const inline = line.match(/^packages\s*:\s*\[(.*)\]\s*$/);
+      if (inline) {
+        patterns.push(...inline[1].split(",").map(unquote).filter(Boolean));
+      }
+      inPackages = !inline && /^packages\s*:\s*$/.test(line);
+      continue;
+    }
+
+    const item = inPackages && line.match(/^\s*-\s*(.+)$/);
+    if (item) patterns.push(unquote(item[1]));
+  }
+  return patterns;
+}
+
+function unquote(str) {
+  return str.trim().replace(/^["']|["']$/g, "");
+}
+
+// ─── Helpers ──────────────────────────────────────────────────────
+
+// JSON with comments and trailing commas, as tsconfig.json allows
+function readJsonc(file) {
+  try {
+    const text = fs.readFileSync(file, "utf-8");
+    return JSON.parse(stripJsonComments(text));
+  } catch {
+    return null;
+  }
+}
+
+function stripJsonComments(text) {
+  let out = "";
+  let inString = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (inString) {
+      out += ch;
+      if (ch === "\\") out += text[++i] || "";
+      else if (ch === '"') inString = false;
+    } else if (ch === '"') {
+      inString = true;
+      out += ch;
+    } else if (ch === "/" && text[i + 1] === "/") {
+      while (i < text.length && text[i] !== "\n") i++;
+      out += "\n";
+    } else if (ch === "/" && text[i + 1] === "*") {
+      i += 2;
+      while (i < text.length && !(text[i] === "*" && text[i + 1] === "/")) i++;
+      i++;
+    } else {
+      out += ch;
+    }
+  }
+  // Trailing commas before } or ]
+  return out.replace(/,(\s*[}\]])/g, "$1");
+}
+
+function isFile(p) {
+  try {
+    return fs.statSync(p).isFile();
+  } catch {
+    return false;
+  }
+}
+
+function isInside(root, dir) {
+  const rel = path.relative(root, dir);
+  return !rel.startsWith("..") && !path.isAbsolute(rel);
+}
+
+module.exports = { createResolver, EXTENSIONS };
@@ -0,0 +1,155 @@
+const fs = require("fs");
+const path = require("path");
+const { execFile, spawn } = require("child_process");
+const { CACHE_DIR, hashContent } = require("./cache");
+
+const FIELD_SEP = "\x1f";
+
+// Besides source files, snapshots need the files the resolver and the
+// npm-package lookup read: package manifests, tsconfigs, lockfiles.
+const EXTRA_EXTENSIONS = [".json"];
+const EXTRA_FILES = ["yarn.lock", "pnpm-lock.yaml", "pnpm-workspace.yaml"];
+
+// Snapshot directories kept per repository, least recently used removed
+// first. More than a project keeps analyzed revisions of (see projects.js),
+// whose files are still served from their snapshot.
+const MAX_CHECKOUTS = 40;
+
+function git(rootDir, args) {
+  return new Promise((resolve, reject) => {
+    const gitArgs = ["-C", rootDir, "-c", "core.quotePath=false", ...args];
+    execFile("git", gitArgs, { maxBuffer: 256 * 1024 * 1024 }, (err, stdout) => {
+      if (err) reject(new Error(err.stderr?.trim() || err.message));
+      else resolve(stdout);
+    });
+  });
+}
+
+// Full commit SHA for a commit, tag or branch name
+async function resolveRevision(rootDir, rev) {
+  try {
+    return (await git(rootDir, ["rev-parse", "--verify", "--quiet", `${rev}^{commit}`])).trim();
+  } catch {
+    throw new Error(`Unknown revision: ${rev}`);
+  }
+}
+
+/**
+ * Commits that touched `rootDir`, newest first, as
+ * `{ sha, date, author, subject }` (date in ms since epoch).
+ */
+async function listRevisions(rootDir, { limit = 200 } = {}) {
+  const log = await git(rootDir, [
+    "log",
+    `--max-count=${limit}`,
+    `--format=%H${FIELD_SEP}%ct${FIELD_SEP}%aN${FIELD_SEP}%s`,
+    "--",
+    ".",
+  ]);
+  return log
+    .split("\n")
+    .filter(Boolean)
+    .map((line) => {
+      const [sha, time, author, subject] = line.split(FIELD_SEP);
+      return { sha, date: Number(time) * 1000, author, subject };
+    });
+}
+
+/**
+ * Writes the files of `rootDir` as they were at commit `sha` into a
+ * snapshot directory, straight from git objects, and returns its path.
+ * Only files the analysis reads are written (see `extensions`), and files
+ * under an `ignoreDirs` folder are skipped. Snapshots are immutable, so
+ * an existing one is reused; beyond MAX_CHECKOUTS the oldest are removed.
+ */
+async function checkoutRevision(rootDir, sha, { extensions, ignoreDirs }) {
+  const parent = path.join(CACHE_DIR, "revisions", hashContent(rootDir));
+  const dir = path.join(parent, sha);
+  if (fs.existsSync(dir)) {
+    const now = new Date();
+    fs.utimesSync(dir, now, now); // marks it recently used
+    return dir;
+  }
+
+  const listing = await git(rootDir, ["ls-tree", "-r", "-z", sha, "--", "."]);
+  const blobs = [];
+  for (const entry of listing.split("\0")) {
+    if (!entry) continue;
+    const [info, relFile] = entry.split("\t");
+    const [, type, objectSha] = info.split(" ");
+    if (type !== "blob") continue;
+    if (relFile.split("/").some((part) => ignoreDirs.includes(part))) continue;
+    const ext = path.extname(relFile);
+    if (!extensions.includes(ext) && !EXTRA_EXTENSIONS.includes(ext) && !EXTRA_FILES.includes(path.basename(relFile))) {
+      continue;
+    }
+    blobs.push({ relFile, objectSha });
+  }
+
+  const contents = await readBlobs(rootDir, blobs.map((b) => b.objectSha));
+
+  // Build in a temp dir and rename, so a half-written snapshot is never reused
+  const tmp = `${dir}.${process.pid}.tmp`;
+  fs.rmSync(tmp, { recursive: true, force: true });
+  for (const { relFile, objectSha } of blobs) {
+    const target = path.join(tmp, relFile);
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    fs.writeFileSync(target, contents.get(objectSha));
+  }
+  fs.mkdirSync(tmp, { recursive: true });
+  fs.renameSync(tmp, dir);
+  pruneCheckouts(parent);
+  return dir;
+}
+
+function pruneCheckouts(parent) {
+  const checkouts = fs
+    .readdirSync(parent, { withFileTypes: true })
+    .filter((entry) => entry.isDirectory() && !entry.name.endsWith(".tmp"))
+    .map((entry) => {
+      const dir = path.join(parent, entry.name);
+      return { dir, usedAt: fs.statSync(dir).mtimeMs };
+    })
+    .sort((a, b) => b.usedAt - a.usedAt);
+
+  for (const { dir } of checkouts.slice(MAX_CHECKOUTS)) {
+    fs.rmSync(dir, { recursive: true, force: true });
+    // Left over from when every snapshot had a parse cache of its own
+    fs.rmSync(path.join(CACHE_DIR, `${hashContent(dir)}.json`), { force: true });
+  }
+}
+
+// Reads many blobs with one `git cat-file --batch` process. Resolves to a
+// Map of object SHA -> Buffer.
+function readBlobs(rootDir, objectShas) {
+  return new Promise((resolve, reject) => {
+    const proc = spawn("git", ["-C", rootDir, "cat-file", "--batch"]);
+    const chunks = [];
+    proc.stdout.on("data", (chunk) => chunks.push(chunk));
+    proc.on("error", reject);
+    proc.on("close", (code) => {
+      if (code !== 0) return reject(new Error(`git cat-file exited with code ${code}`));
+
+      // Output is "<sha> <type> <size>\n<content>\n" per requested object
+      const output = Buffer.concat(chunks);
+      const blobs = new Map();
+      let offset = 0;
+      while (offset < output.length) {
+        const headerEnd = output.indexOf(0x0a, offset);
+        const [objectSha, type, size] = output.toString("utf-8", offset, headerEnd).split(" ");
+        if (type === "missing") {
+          offset = headerEnd + 1;
+          continue;
+        }
+        const start = headerEnd + 1;
+        blobs.set(objectSha, output.subarray(start, start + Number(size)));
+        offset = start + Number(size) + 1;
+      }
+      resolve(blobs);
+    });
+
+    proc.stdin.end([...new Set(objectShas)].join("\n") + "\n");
+  });
+}
+
+module.exports = { resolveRevision, listRevisions, checkoutRevision };
@@ -0,0 +1,155 @@
+const fs = require("fs");
+const path = require("path");
+const { minimatch } = require("minimatch");
+const { findCycles } = require("./cycles");
+
+// Architecture rules are declared in this file at the project root:
+//
+//   {
+//     "rules": [
+//       { "name": "modules stay below the app", "from": "public/modules", "to": "public/app.js" },
+//       { "from": "src/ui/**", "to": ["src/db/**"], "kinds": ["import", "require"] },
+//       { "name": "layers", "cyclesBetween": ["src/ui", "src/core", "src/db"] }
+//     ]
+//   }
+//
+// `from` / `to` rules forbid imports from matching files to matching files;
+// `cyclesBetween` rules forbid import cycles between the listed folders.
+// Patterns are globs relative to the root, and a folder matches everything
+// in it. `kinds` limits a rule to some edge kinds (see EDGE_KINDS).
+const RULES_FILE = "code-visualizer.config.json";
+
+/**
+ * Reads the rules declared at `rootDir`, or with `files` (a loaded
+ * snapshot's sources, keyed by relative path) the ones saved in it.
+ * Returns `{ file, rules }`, with `file` null and no rules when there is
+ * no config file; throws when the file is not valid JSON or a rule is
+ * malformed.
+ */
+function loadRules(rootDir, files = null) {
+  const file = path.join(rootDir, RULES_FILE);
+  const text = files ? files[RULES_FILE] : fs.existsSync(file) ? fs.readFileSync(file, "utf-8") : undefined;
+  if (text === undefined) return { file: null, rules: [] };
+
+  let config;
+  try {
+    config = JSON.parse(text);
+  } catch (err) {
+    throw new Error(`Invalid ${RULES_FILE}: ${err.message}`);
+  }
+
+  const rules = (config.rules || []).map((rule, i) => normalizeRule(rule, i));
+  return { file: RULES_FILE, rules };
+}
+
+function normalizeRule(rule, index) {
+  const fail = (reason) => { throw new Error(`Invalid rule #${index + 1} in ${RULES_FILE}: ${reason}`); };
+  if (!rule || typeof rule !== "object") fail("expected an object");
+
+  const kinds = rule.kinds == null ? null : toList(rule.kinds);
+  if (rule.cyclesBetween != null) {
+    const folders = toList(rule.cyclesBetween);
+    if (folders.length < 2) fail("\"cyclesBetween\" needs at least two folders");
+    return { name: rule.name || `no cycles between ${folders.join(", ")}`, type: "cycle", folders, kinds };
+  }
+
+  if (rule.from == null || rule.to == null) fail("needs \"from\" and \"to\", or \"cyclesBetween\"");
+  const from = toList(rule.from);
+  const to = toList(rule.to);
+  return { name: rule.name || `${from.join(", ")} may not import ${to.join(", ")}`, type: "import", from, to, kinds };
+}
+
+function toList(value) {
+  return (Array.isArray(value) ? value : [value]).map(String);
+}
+
+/**
+ * Checks `rules` against an analyzeCodebase graph. Returns one violation
+ * per forbidden edge and per cycle between folders:
+ *   { rule, type, message, edges: [{ source, target }] }
+ */
+function checkRules(graph, rules) {
+  const files = new Set(graph.nodes.filter((n) => !n.external).map((n) => n.id));
+  const edges = graph.edges.filter((e) => files.has(e.source) && files.has(e.target));
+  const violations = [];
+
+  for (const rule of rules) {
+    const ruleEdges = rule.kinds ? edges.filter((e) => e.kinds.some((k) => rule.kinds.includes(k))) : edges;
+    if (rule.type === "import") violations.push(...forbiddenImports(rule, ruleEdges));
+    else violations.push(...folderCycles(rule, ruleEdges));
+  }
+  return violations;
+}
+
+function forbiddenImports(rule, edges) {
+  return edges
+    .filter((e) => matchesAny(e.source, rule.from) && matchesAny(e.target, rule.to))
+    .map((e) => ({
+      rule: rule.name,
+      type: "import",
+      message: `${e.source} imports ${e.target}`,
+      edges: [{ source: e.source, target: e.target }],
+    }));
+}
+
+function folderCycles(rule, edges) {
+  const folderOf = (file) => rule.folders.find((folder) => matchesAny(file, [folder]));
+
+  const adjacency = new Map(rule.folders.map((folder) => [folder, new Set()]));
+  const crossing = new Map(); // "from\0to" folder pair -> file edges
+  for (const edge of edges) {
+    const from = folderOf(edge.source);
+    const to = folderOf(edge.target);
+    if (!from || !to || from === to) continue;
+    adjacency.get(from).add(to);
+    const key = `${from}\0${to}`;
+    if (!crossing.has(key)) crossing.set(key, []);
+    crossing.get(key).push({ source: edge.source, target: edge.target });
+  }
+
+  return findCycles(adjacency).flatMap((component) => component.paths.map((cycle) => ({
+    rule: rule.name,
+    type: "cycle",
+    message: `Cycle: ${[...cycle, cycle[0]].join(" → ")}`,
+    edges: cycle.flatMap((folder, i) => crossing.get(`${folder}\0${cycle[(i + 1) % cycle.length]}`)),
+  })));
+}
+
+// A pattern matches files by glob, and a folder matches everything in it
+function matchesAny(file, patterns) {
+  return patterns.some((pattern) => {
+    const folder = pattern.replace(/\/+$/, "");
+    return minimatch(file, folder) || minimatch(file, `${folder}/**`);
+  });
+}
+
+// CLI mode: check a codebase and exit non-zero on violations, so the rules
+// can gate merges
+if (require.main === module) {
+  const { analyzeCodebase } = require("./parser");
+  const targetDir = path.resolve(process.argv[2] || process.cwd());
+
+  let rules;
+  try {
+    ({ rules } = loadRules(targetDir));
+  } catch (err) {
+    console.error(err.message);
+    process.exit(2);
+  }
+  if (rules.length === 0) {
+    console.log(`No rules declared in ${path.join(targetDir, RULES_FILE)}`);
+    process.exit(0);
+  }
+
+  analyzeCodebase(targetDir, { history: false }).then((graph) => {
+    const violations = checkRules(graph, rules);
+    for (const v of violations) console.log(`✗ ${v.rule}: ${v.message}`);
+    console.log(`${rules.length} rules checked, ${violations.length} violation${violations.length === 1 ? "" : "s"}`);
+    process.exit(violations.length > 0 ? 1 : 0);
+  }).catch((err) => {
+    console.error(err.message);
+    process.exit(2);
+  });
+}
+
+module.exports = { loadRules, checkRules, RULES_FILE };
@@ -1,65 +1,154 @@
 const express = require("express");
 const path = require("path");
 const fs = require("fs");
-const { analyzeCodebase, analyzeSymbols } = require("./parser");
+const { createProjectStore } = require("./projects");
+const { compareGraphs, compareSymbols } = require("./diff");
+const { findDeadCode, resolveEntryPoints } = require("./dead-code");
+const { loadRules, checkRules } = require("./rules");
+const { createJobStore } = require("./jobs");
+const { createSnapshot, readSnapshot, loadSnapshotFile, snapshotFileName } = require("./snapshots");
 
 const app = express();
 const PORT = process.env.PORT || 42069;
 
 app.use(express.static(path.join(__dirname, "..", "public")));
-app.use(express.json());
+// Uploaded snapshots carry a whole analysis, so allow large bodies
+app.use(express.json({ limit: "200mb" }));
 
-let cachedGraph = null;
-let cachedTarget = null;
-let cachedSymbols = null;
+const projects = createProjectStore({ onEvent: broadcast });
+const jobs = createJobStore();
 
-app.post("/api/analyze", async (req, res) => {
+// Resolve ?project= (or the most recently analyzed project) for scoped endpoints
+function requireProject(req, res) {
+  const project = projects.get(req.query.project);
+  if (!project) {
+    const message = req.query.project
+      ? `Unknown project: ${req.query.project}`
+      : "No codebase analyzed yet. POST to /api/analyze first.";
+    res.status(404).json({ error: message });
+    return null;
+  }
+  return project;
+}
+
+// A project's analysis as of `rev` (commit, tag or branch), or of its
+// working tree when no revision is given
+async function analysisAt(project, rev) {
+  if (!rev) {
+    return { root: project.root, graph: project.graph, symbols: project.symbols, revision: null };
+  }
+  const snapshot = await projects.atRevision(project, rev);
+  return { root: snapshot.root, graph: snapshot.graph, symbols: snapshot.symbols, revision: snapshot.sha };
+}
+
+// A list parameter given as an array, a comma-separated string, or not at all
+function listParam(value) {
+  const items = Array.isArray(value) ? value : String(value || "").split(",");
+  return items.map((item) => String(item).trim()).filter(Boolean);
+}
+
+// Express 4 doesn't catch rejected promises: without this, an async
+// handler that throws leaves the request hanging and crashes the process
+function asyncRoute(handler) {
+  return (req, res) => handler(req, res).catch((err) => {
+    console.error(err);
+    if (res.headersSent) res.end();
+    else res.status(500).json({ error: err.message });
+  });
+}
+
+function sendAnalysisError(res, err) {
+  let status = 500;
+  if (err.message.startsWith("Unknown revision")) status = 404;
+  else if (err.message.startsWith("No revisions")) status = 400;
+  res.status(status).json({ error: err.message });
+}
+
+// What a scoped endpoint serves: the project's working tree, or with
+// ?rev= the project as of that revision
+async function resolveView(req, res) {
+  const project = requireProject(req, res);
+  if (!project) return null;
+  try {
+    return { project, ...(await analysisAt(project, req.query.rev)) };
+  } catch (err) {
+    sendAnalysisError(res, err);
+    return null;
+  }
+}
+
+// Starts analyzing a codebase as a job and answers right away with it;
+// follow it with /api/jobs/:id/events
+app.post("/api/analyze", (req, res) => {
   const targetDir = req.body.path || process.cwd();
   const resolved = path.resolve(targetDir);
+  const options = {
+    name: req.body.name,
+    externals: !!req.body.externals,
+    typeAware: !!req.body.typeAware,
+    entryPoints: listParam(req.body.entryPoints),
+  };
 
-  try {
-    console.log(`Analyzing: ${resolved}`);
-    const graph = await analyzeCodebase(resolved);
-    cachedGraph = graph;
-    cachedTarget = resolved;
-    cachedSymbols = await analyzeSymbols(resolved);
+  console.log(`Analyzing: ${resolved}`);
+  const job = jobs.start(async ({ signal, progress }) => {
+    let project;
+    try {
+      project = await projects.analyze(resolved, options, { onProgress: progress, signal });
+    } catch (err) {
+      if (signal.aborted) console.log(`Cancelled: ${resolved}`);
+      else console.error(err);
+      throw err;
+    }
+    const { parseErrors } = project.graph;
     console.log(
-      `Done: ${graph.nodes.length} files, ${graph.edges.length} edges`,
+      `Done: ${project.graph.nodes.length} files, ${project.graph.edges.length} edges (project ${project.id})`,
     );
-    res.json(graph);
-  } catch (err) {
-    console.error(err);
-    res.status(500).json({ error: err.message });
-  }
+    for (const e of parseErrors) console.warn(`  Could not parse ${e.file}:${e.line}:${e.column}: ${e.message}`);
+    return { project: projects.summarize(project), parseErrors };
+  });
+  res.status(202).json({ job: jobs.summarize(job) });
 });
 
-app.get("/api/symbols", async (req, res) => {
-  if (cachedSymbols && cachedTarget) {
-    return res.json(cachedSymbols);
-  }
-  if (!cachedTarget) {
-    return res.status(404).json({ error: "No codebase analyzed yet. POST to /api/analyze first." });
-  }
+app.get("/api/projects", (req, res) => {
+  res.json(projects.list());
+});
+
+app.get("/api/revisions", asyncRoute(async (req, res) => {
+  const project = requireProject(req, res);
+  if (!project) return;
   try {
-    cachedSymbols = await analyzeSymbols(cachedTarget);
-    res.json(cachedSymbols);
+    const limit = parseInt(req.query.limit) || undefined;
+    res.json(await projects.revisionsOf(project, { limit }));
   } catch (err) {
-    console.error(err);
-    res.status(500).json({ error: err.message });
+    // Not a git repository: there is no history to travel through
+    res.json([]);
   }
-});
+}));
 
-app.get("/api/file", (req, res) => {
-  if (!cachedTarget) {
-    return res.status(404).json({ error: "No codebase analyzed yet." });
-  }
+app.get("/api/symbols", asyncRoute(async (req, res) => {
+  const view = await resolveView(req, res);
+  if (!view) return;
+  res.json(view.symbols);
+}));
+
+app.get("/api/file", asyncRoute(async (req, res) => {
   const relPath = req.query.path;
   if (!relPath) {
     return res.status(400).json({ error: "Missing ?path= parameter" });
   }
-  const fullPath = path.resolve(cachedTarget, relPath);
-  // Ensure the resolved path is inside the target directory
-  if (!fullPath.startsWith(path.resolve(cachedTarget))) {
+  const view = await resolveView(req, res);
+  if (!view) return;
+  // A loaded snapshot serves the files it was saved with
+  if (view.project.files && !view.revision) {
+    // Own keys only: "__proto__" and the like are no files
+    if (!Object.hasOwn(view.project.files, relPath)) return res.status(404).json({ error: "File not in snapshot: " + relPath });
+    return res.json({ path: relPath, content: view.project.files[relPath] });
+  }
+  const fullPath = path.resolve(view.root, relPath);
+  // Ensure the resolved path is inside the target directory (a prefix check
+  // would let "../root-sibling/file" through)
+  const inside = path.relative(view.root, fullPath);
+  if (inside === ".." || inside.startsWith(`..${path.sep}`) || path.isAbsolute(inside)) {
     return res.status(403).json({ error: "Path outside of analyzed directory" });
   }
   try {
@@ -68,35 +157,209 @@ app.get("/api/file", (req, res) => {
   } catch (err) {
     res.status(404).json({ error: "File not found: " + relPath });
   }
+}));
+
+app.get("/api/graph", asyncRoute(async (req, res) => {
+  const view = await resolveView(req, res);
+  if (!view) return;
+  res.json({ ...view.graph, project: projects.summarize(view.project), revision: view.revision });
+}));
+
+// Unused exports, uncalled functions and unreachable files. Entry points
+// are globs from ?entry= (repeated or comma-separated), else the ones
+// given at analysis, else detected from package.json and HTML pages.
+app.get("/api/dead-code", asyncRoute(async (req, res) => {
+  const view = await resolveView(req, res);
+  if (!view) return;
+  const patterns = listParam(req.query.entry);
+  const entry = resolveEntryPoints(view.graph, patterns.length > 0 ? patterns : view.project.options.entryPoints);
+  res.json({ ...findDeadCode(view.graph, view.symbols, entry.files), entrySource: entry.source, revision: view.revision });
+}));
+
+// Files that failed to parse, so their imports, exports and symbols are
+// missing: [{ file, line, column, message }]
+app.get("/api/diagnostics", asyncRoute(async (req, res) => {
+  const view = await resolveView(req, res);
+  if (!view) return;
+  res.json({ parseErrors: view.graph.parseErrors || [], revision: view.revision });
+}));
+
+// Violations of the architecture rules declared at the project root,
+// re-read on every request so edits apply without re-analyzing
+app.get("/api/rules", asyncRoute(async (req, res) => {
+  const view = await resolveView(req, res);
+  if (!view) return;
+  let config;
+  try {
+    // A loaded snapshot has no root on this machine: use its saved config
+    config = loadRules(view.project.root, view.project.files);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  res.json({
+    configFile: config.file,
+    rules: config.rules.map((r) => r.name),
+    violations: checkRules(view.graph, config.rules),
+    revision: view.revision,
+  });
+}));
+
+// The project's analysis as a snapshot file to save (see snapshots.js)
+app.get("/api/snapshot", asyncRoute(async (req, res) => {
+  const project = requireProject(req, res);
+  if (!project) return;
+  try {
+    const snapshot = await createSnapshot(project);
+    res.attachment(snapshotFileName(snapshot));
+    res.json(snapshot);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+}));
+
+// Open a saved snapshot as a project of its own
+app.post("/api/snapshots", (req, res) => {
+  let snapshot;
+  try {
+    snapshot = readSnapshot(req.body);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  try {
+    const project = projects.load(snapshot);
+    console.log(`Loaded snapshot of ${snapshot.root} (project ${project.id})`);
+    res.json({ project: projects.summarize(project) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
 });
 
-app.get("/api/graph", (req, res) => {
-  if (cachedGraph) {
-    res.json(cachedGraph);
-  } else {
-    res
-      .status(404)
-      .json({ error: "No graph loaded. POST to /api/analyze first." });
+// Structural diff between two revisions: ?base= and ?head= are revisions,
+// each defaulting to the working tree. The base comes from the same project
+// unless ?baseProject= names another one, such as a loaded snapshot of it;
+// files are matched by their path from each project's root.
+app.get("/api/compare", asyncRoute(async (req, res) => {
+  const project = requireProject(req, res);
+  if (!project) return;
+  const baseProject = req.query.baseProject ? projects.get(req.query.baseProject) : project;
+  if (!baseProject) {
+    return res.status(404).json({ error: `Unknown project: ${req.query.baseProject}` });
+  }
+  if (baseProject === project && !req.query.base) {
+    return res.status(400).json({ error: "Missing ?base= parameter" });
+  }
+
+  try {
+    const base = await analysisAt(baseProject, req.query.base);
+    const head = await analysisAt(project, req.query.head);
+    res.json({
+      project: projects.summarize(project),
+      base: { project: projects.summarize(baseProject), rev: req.query.base || null, sha: base.revision },
+      head: { rev: req.query.head || null, sha: head.revision },
+      graph: compareGraphs(base.graph, head.graph),
+      symbols: compareSymbols(base.symbols, head.symbols),
+    });
+  } catch (err) {
+    sendAnalysisError(res, err);
   }
+}));
+
+// ─── Jobs ─────────────────────────────────────────────────────────
+
+function requireJob(req, res) {
+  const job = jobs.get(req.params.id);
+  if (!job) res.status(404).json({ error: `Unknown job: ${req.params.id}` });
+  return job;
+}
+
+app.get("/api/jobs/:id", (req, res) => {
+  const job = requireJob(req, res);
+  if (job) res.json(jobs.summarize(job));
 });
 
-// Auto-analyze if a target was passed via CLI
-const targetArg = process.argv[2];
-if (targetArg) {
+// Server-Sent Events: a "job" event with the job's state now, then on
+// every change until it finishes, when the stream ends
+app.get("/api/jobs/:id/events", (req, res) => {
+  const job = requireJob(req, res);
+  if (!job) return;
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+  });
+  res.flushHeaders();
+
+  const unsubscribe = jobs.subscribe(job, (summary) => {
+    res.write(`event: job\ndata: ${JSON.stringify(summary)}\n\n`);
+    if (summary.status !== "running") res.end();
+  });
+  req.on("close", unsubscribe);
+});
+
+// Cancel a running job
+app.delete("/api/jobs/:id", (req, res) => {
+  const job = requireJob(req, res);
+  if (!job) return;
+  jobs.cancel(job);
+  res.json(jobs.summarize(job));
+});
+
+// ─── Live updates ─────────────────────────────────────────────────
+
+// Server-Sent Events: when watched files change, clients get "files-changed"
+// right away, then "graph-diff" / "symbols-diff" once re-analysis finishes.
+// Every payload names its project so clients can ignore the others.
+const eventClients = new Set();
+
+app.get("/api/events", (req, res) => {
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+  });
+  res.flushHeaders();
+  res.write(": connected\n\n");
+
+  const heartbeat = setInterval(() => res.write(": ping\n\n"), 30000);
+  eventClients.add(res);
+  req.on("close", () => {
+    clearInterval(heartbeat);
+    eventClients.delete(res);
+  });
+});
+
+function broadcast(event, data) {
+  const payload = `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+  for (const client of eventClients) client.write(payload);
+}
+
+// Auto-analyze any targets passed via CLI, each as its own project, and
+// open any snapshot files (*.json) given. --externals and --type-aware
+// apply to all of them.
+const cliArgs = process.argv.slice(2);
+const cliOptions = {
+  externals: cliArgs.includes("--externals"),
+  typeAware: cliArgs.includes("--type-aware"),
+};
+for (const targetArg of cliArgs.filter((arg) => !arg.startsWith("--"))) {
   const resolved = path.resolve(targetArg);
-  console.log(`Auto-analyzing: ${resolved}`);
-  analyzeCodebase(resolved).then(async (graph) => {
-    cachedGraph = graph;
-    cachedTarget = resolved;
-    console.log(
-      `Ready: ${graph.nodes.length} files, ${graph.edges.length} edges`,
-    );
+  if (resolved.endsWith(".json")) {
     try {
-      cachedSymbols = await analyzeSymbols(resolved);
-      console.log(`Symbols: ${cachedSymbols.symbols.length} symbols, ${cachedSymbols.edges.length} relationships`);
+      const project = projects.load(loadSnapshotFile(resolved));
+      console.log(`Loaded snapshot: ${resolved} (project ${project.id})`);
     } catch (err) {
-      console.error("Symbol analysis failed:", err.message);
+      console.error(err.message);
     }
+    continue;
+  }
+  console.log(`Auto-analyzing: ${resolved}`);
+  projects.analyze(resolved, cliOptions).then((project) => {
+    console.log(
+      `Ready: ${project.graph.nodes.length} files, ${project.graph.edges.length} edges (project ${project.id})`,
+    );
+    console.log(`Symbols: ${project.symbols.symbols.length} symbols, ${project.symbols.edges.length} relationships`);
+  }).catch((err) => {
+    console.error(`Analysis of ${resolved} failed:`, err.message);
   });
 }
 
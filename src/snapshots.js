@@ -0,0 +1,170 @@
+const fs = require("fs");
+const path = require("path");
+const { PARSER_FINGERPRINT } = require("./parser");
+const { resolveRevision } = require("./revisions");
+const { RULES_FILE } = require("./rules");
+const { version } = require("../package.json");
+
+// A saved analysis is one JSON file holding a project's graph, symbols and
+// the source of its files, so it can be opened again on another machine
+// without the codebase:
+//
+//   { format, version, name, root, createdAt, analyzedAt, gitSha,
+//     parserVersion, options, graph, symbols, files }
+//
+// `version` is bumped whenever the layout changes incompatibly.
+const SNAPSHOT_FORMAT = "code-visualizer-snapshot";
+const SNAPSHOT_VERSION = 1;
+
+// Which code produced the analysis: the package version plus the parser
+// fingerprint, which changes with every edit to parser.js
+const PARSER_VERSION = `${version}+${PARSER_FINGERPRINT.slice(0, 12)}`;
+
+/**
+ * Snapshot of a project from the project store. A project that was itself
+ * loaded from a snapshot keeps its original metadata.
+ */
+async function createSnapshot(project) {
+  const saved = project.snapshot;
+  return {
+    format: SNAPSHOT_FORMAT,
+    version: SNAPSHOT_VERSION,
+    name: project.name,
+    root: project.root,
+    createdAt: saved ? saved.createdAt : new Date().toISOString(),
+    analyzedAt: project.analyzedAt,
+    gitSha: saved ? saved.gitSha : await headSha(project.root),
+    parserVersion: saved ? saved.parserVersion : PARSER_VERSION,
+    options: project.options,
+    graph: project.graph,
+    symbols: project.symbols,
+    files: project.files || snapshotSources(project),
+  };
+}
+
+// The analyzed files plus the rules config, so the rules can still be
+// checked once the snapshot is opened elsewhere
+function snapshotSources(project) {
+  const files = readSources(project.root, project.graph);
+  try {
+    files[RULES_FILE] = fs.readFileSync(path.join(project.root, RULES_FILE), "utf-8");
+  } catch {
+    // No rules declared
+  }
+  return files;
+}
+
+// Checked-out commit of `root`, or null outside a git repository
+async function headSha(root) {
+  try {
+    return await resolveRevision(root, "HEAD");
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Validates parsed snapshot JSON and returns it; throws with a message
+ * fit for the user when it isn't a snapshot this version can read.
+ */
+function readSnapshot(data) {
+  if (!data || data.format !== SNAPSHOT_FORMAT) {
+    throw new Error("Not a code-visualizer snapshot");
+  }
+  if (data.version > SNAPSHOT_VERSION) {
+    throw new Error(`Snapshot version ${data.version} is newer than this code-visualizer reads (${SNAPSHOT_VERSION})`);
+  }
+  for (const field of ["name", "root"]) {
+    if (typeof data[field] !== "string" || data[field] === "") {
+      throw new Error(`Snapshot has no "${field}"`);
+    }
+  }
+  const shapes = {
+    "graph.nodes": Array.isArray(data.graph?.nodes),
+    "graph.edges": Array.isArray(data.graph?.edges),
+    "symbols.symbols": Array.isArray(data.symbols?.symbols),
+    "symbols.edges": Array.isArray(data.symbols?.edges),
+    "symbols.files": Array.isArray(data.symbols?.files),
+    files: isPlainObject(data.files) && Object.values(data.files).every((content) => typeof content === "string"),
+  };
+  const broken = Object.keys(shapes).find((field) => !shapes[field]);
+  if (broken) throw new Error(`Snapshot is missing or has a malformed "${broken}"`);
+  if (data.options != null && !isPlainObject(data.options)) {
+    throw new Error("Snapshot has malformed \"options\"");
+  }
+  checkItems(data);
+  return data;
+}
+
+// The parts of each node, symbol and edge the views rely on: string ids,
+// and edges between nodes (or symbols) the snapshot has
+function checkItems({ graph, symbols }) {
+  const isString = (value) => typeof value === "string" && value !== "";
+  const fail = (field, index) => {
+    throw new Error(`Snapshot has a malformed "${field}" entry (#${index + 1})`);
+  };
+
+  const fileIds = new Set();
+  graph.nodes.forEach((node, i) => {
+    if (!isPlainObject(node) || !isString(node.id) || (node.exports != null && !Array.isArray(node.exports))) {
+      fail("graph.nodes", i);
+    }
+    fileIds.add(node.id);
+  });
+  graph.edges.forEach((edge, i) => {
+    if (!isPlainObject(edge) || !fileIds.has(edge.source) || !fileIds.has(edge.target)) fail("graph.edges", i);
+  });
+  for (const field of ["folders", "extensions", "packages", "cycles", "entryPoints", "parseErrors"]) {
+    if (graph[field] != null && !Array.isArray(graph[field])) fail(`graph.${field}`, 0);
+  }
+
+  const symbolIds = new Set();
+  symbols.symbols.forEach((sym, i) => {
+    if (!isPlainObject(sym) || !isString(sym.id) || !isString(sym.name) || !isString(sym.file)) {
+      fail("symbols.symbols", i);
+    }
+    symbolIds.add(sym.id);
+  });
+  symbols.edges.forEach((edge, i) => {
+    if (!isPlainObject(edge) || !symbolIds.has(edge.source) || !symbolIds.has(edge.target)) fail("symbols.edges", i);
+  });
+  symbols.files.forEach((file, i) => {
+    if (!isString(file)) fail("symbols.files", i);
+  });
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+function loadSnapshotFile(file) {
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(file, "utf-8"));
+  } catch (err) {
+    throw new Error(`Cannot read snapshot ${file}: ${err.message}`);
+  }
+  return readSnapshot(data);
+}
+
+// "my-app-2024-05-01.snapshot.json"
+function snapshotFileName(snapshot) {
+  const slug = snapshot.name.toLowerCase().replace(/[^a-z0-9._-]+/g, "-") || "project";
+  return `${slug}-${snapshot.createdAt.slice(0, 10)}.snapshot.json`;
+}
+
+// Contents of every analyzed file, keyed by path relative to `root`
+function readSources(root, graph) {
+  const files = {};
+  for (const node of graph.nodes) {
+    if (node.external) continue;
+    try {
+      files[node.id] = fs.readFileSync(path.join(root, node.id), "utf-8");
+    } catch {
+      // Gone since the analysis; the code panel reports it missing
+    }
+  }
+  return files;
+}
+
+module.exports = { createSnapshot, readSnapshot, loadSnapshotFile, snapshotFileName, readSources };
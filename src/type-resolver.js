@@ -0,0 +1,99 @@
+const fs = require("fs");
+const path = require("path");
+
+// `typescript` is an optional dependency; without it type-aware analysis
+// falls back to name matching
+function loadTypeScript() {
+  try {
+    return require("typescript");
+  } catch {
+    console.warn("Type-aware analysis needs the optional \"typescript\" package; falling back to name matching.");
+    return null;
+  }
+}
+
+/**
+ * Resolves call sites to their declarations with the TypeScript language
+ * service, which infers types in plain JS too (allowJs). `files` are the
+ * relative paths to load. Returns `{ resolveCall(relFile, position) }`,
+ * where position is the 1-based line and 0-based column of the called
+ * name; it yields `{ file, line, name }` for a declaration inside rootDir,
+ * `null` when the target is declared elsewhere (lib.d.ts, node_modules),
+ * or `undefined` when the type checker can't tell. Returns null when
+ * TypeScript is not installed.
+ */
+function createTypeResolver(rootDir, files) {
+  const ts = loadTypeScript();
+  if (!ts) return null;
+
+  const fileNames = files.map((f) => path.join(rootDir, f));
+  const options = {
+    ...readCompilerOptions(ts, rootDir),
+    allowJs: true,
+    checkJs: false,
+    noEmit: true,
+  };
+
+  const host = {
+    getScriptFileNames: () => fileNames,
+    getScriptVersion: () => "0",
+    getScriptSnapshot: (fileName) => {
+      if (!fs.existsSync(fileName)) return undefined;
+      return ts.ScriptSnapshot.fromString(fs.readFileSync(fileName, "utf-8"));
+    },
+    getCurrentDirectory: () => rootDir,
+    getCompilationSettings: () => options,
+    getDefaultLibFileName: (opts) => ts.getDefaultLibFilePath(opts),
+    fileExists: ts.sys.fileExists,
+    readFile: ts.sys.readFile,
+    readDirectory: ts.sys.readDirectory,
+    directoryExists: ts.sys.directoryExists,
+    getDirectories: ts.sys.getDirectories,
+  };
+  const service = ts.createLanguageService(host, ts.createDocumentRegistry());
+  const program = service.getProgram();
+
+  function resolveCall(relFile, position) {
+    const fileName = path.join(rootDir, relFile);
+    const source = program.getSourceFile(fileName);
+    if (!source || !position) return undefined;
+
+    let offset;
+    try {
+      offset = source.getPositionOfLineAndCharacter(position.line - 1, position.column);
+    } catch {
+      return undefined;
+    }
+
+    const definitions = service.getDefinitionAtPosition(fileName, offset);
+    if (!definitions || definitions.length === 0) return undefined;
+
+    const def = definitions[0];
+    const relTarget = path.relative(rootDir, def.fileName);
+    if (relTarget.startsWith("..") || path.isAbsolute(relTarget) || relTarget.split(path.sep).includes("node_modules")) {
+      return null;
+    }
+
+    const targetSource = program.getSourceFile(def.fileName);
+    if (!targetSource) return undefined;
+    const { line } = targetSource.getLineAndCharacterOfPosition(def.textSpan.start);
+    return { file: relTarget.split(path.sep).join("/"), line: line + 1, name: def.name };
+  }
+
+  return { resolveCall };
+}
+
+// Compiler options from the root tsconfig.json / jsconfig.json, if any, so
+// path aliases and module resolution match the project's own build
+function readCompilerOptions(ts, rootDir) {
+  for (const name of ["tsconfig.json", "jsconfig.json"]) {
+    const configPath = path.join(rootDir, name);
+    if (!fs.existsSync(configPath)) continue;
+    const { config, error } = ts.readConfigFile(configPath, ts.sys.readFile);
+    if (error) continue;
+    return ts.parseJsonConfigFileContent(config, ts.sys, rootDir).options;
+  }
+  return {};
+}
+
+module.exports = { createTypeResolver };
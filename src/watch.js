@@ -0,0 +1,55 @@
+const fs = require("fs");
+const path = require("path");
+
+const DEBOUNCE_MS = 300;
+
+// Config files that change how imports resolve, so they trigger re-analysis too
+const CONFIG_FILES = ["package.json", "tsconfig.json", "jsconfig.json", "pnpm-workspace.yaml"];
+
+/**
+ * Watches `rootDir` recursively and calls `onChange(files)` with the
+ * relative paths that changed, batched over a short debounce window.
+ * Only files with one of `extensions` (or resolver config files) count;
+ * anything under an `ignoreDirs` folder is skipped.
+ */
+function watchCodebase(rootDir, { extensions, ignoreDirs }, onChange) {
+  let pending = new Set();
+  let timer = null;
+  let watcher;
+
+  try {
+    watcher = fs.watch(rootDir, { recursive: true }, (eventType, filename) => {
+      if (!filename) return;
+      const relFile = filename.toString();
+      if (relFile.split(path.sep).some((part) => ignoreDirs.includes(part))) return;
+      const base = path.basename(relFile);
+      if (!extensions.includes(path.extname(relFile)) && !CONFIG_FILES.includes(base)) return;
+
+      pending.add(relFile);
+      clearTimeout(timer);
+      timer = setTimeout(flush, DEBOUNCE_MS);
+    });
+  } catch (err) {
+    console.warn(`File watching unavailable for ${rootDir}: ${err.message}`);
+    return { close() {} };
+  }
+
+  watcher.on("error", (err) => {
+    console.warn(`File watcher error for ${rootDir}: ${err.message}`);
+  });
+
+  function flush() {
+    const files = [...pending];
+    pending = new Set();
+    onChange(files);
+  }
+
+  function close() {
+    clearTimeout(timer);
+    watcher.close();
+  }
+
+  return { close };
+}
+
+module.exports = { watchCodebase };